@@ -1,30 +1,100 @@
 /**
  * Pokédex Generator
  * 
- * Processes a CSV file containing the differences introduced by a Pokémon Showdown mod,
- * and converts it to a PS-readable JavaScript Pokédex file.
+ * Processes a CSV file (or an .xlsx or .ods spreadsheet, or a JSON or YAML file) containing the
+ * differences introduced by a Pokémon Showdown mod, and converts it to a PS-readable JavaScript Pokédex file.
  *
  * How to use:
  * node pokedex-generator.js
  * 
  * It accepts some arguments, in the form:
  * node pokedex-generator.js <input filename> <output filename> <--option>
+ * or, to merge several input files, such as a main sheet and patch sheets, where later files win:
+ * node pokedex-generator.js <input filename> <input filename>... --output <output filename> <--option>
  * 
- * Currently, the only supported options is "new", which removes the "inherit" flag from dex entries.
+ * Structured Pokédex fields can also be split into columns, such as "HP" to "Spe", "Type 1", "Type 2",
+ * "Ability 0", "Ability 1" and "Ability H", or named by their path, such as "baseStats.spe" or "genderRatio.M",
+ * to change a single value. The rest of the field is taken from the base Pokédex.
+ * Headers can also be given in Spanish, Portuguese or French, or by other common names, such as
+ * "Hidden Ability" or "Peso (kg)" (see `HeaderSynonyms`), and more can be added with the headers option.
+ * 
+ * Supported options:
+ * 	new: removes the "inherit" flag from dex entries.
+ * 		Pokédex rows can override it with an "inherit" or "new" column (yes or no), to mix edits and new species.
+ * 	learnsets: reads a CSV of species, move and learn method, and outputs a learnsets file.
+ * 	moves: reads a CSV of move changes, and outputs a movedex file.
+ * 	abilities, items: read a CSV of abilities or items, and output the matching data file.
+ * 		New entries get empty stubs for the event hooks named in the "events" column.
+ * 	formats-data: reads a CSV of tiers and random battle movepools, and outputs a formats-data file.
+ * 	to-csv: reads a PS Pokédex file (default: pokedex.js), and outputs it as CSV (default: pokedex.csv).
+ * 	base <filename>: only outputs the fields that differ from the given Pokédex file,
+ * 		and prints a summary of the changes to each species.
+ * 	aliases <filename>: a JSON file of extra species aliases, of the form {"alias": "Species Name"},
+ * 		added to the built-in ones. It can be given more than once; later files win.
+ * 	headers <filename>: a JSON file of extra names for column headers, of the form {"Header": "column"},
+ * 		such as {"Tipo": "types"}. It can be given more than once; later files win.
+ * 	species <filename>: a reference species list (a Pokédex file, a JSON array of names, or one name per line).
+ * 		Species not in it, or in the base Pokédex, are reported with suggestions of close names.
+ * 	strict: fails on inherited entries for species not in the reference species list.
+ * 		With "new", all entries are new species, and are not checked.
+ * 	delimiter <character>: the CSV delimiter, such as ";" or "tab". By default, it is detected from the header.
+ * 	sheet <name or number>: the sheet to read from an .xlsx or .ods input file.
+ * 		By default, the sheet named after the data type (such as "Pokedex" or "Moves"), or else the first one.
+ * 	input-format <csv, json or yaml>: the format of the input file. By default, it is told by its extension.
+ * 	format <cjs, esm, ts or json>: the format of the output file. By default, cjs (exports.BattlePokedex = ...).
+ * 	line-endings <crlf or lf>: by default, CRLF for cjs output, and LF for the others.
+ * 	quotes <double or single>: the quotes for strings in the output. By default, double.
+ * 	output <filename>: the output file. With it, all the other file names are input files.
+ * 	provenance: prints the file and line that set each field.
+ * 	provenance-comments: writes the file and line that set each field as comments in the output.
+ * 	merge-rows: merges rows for the same entry, so that several people can fill separate columns.
+ * 		Only fields with different values in more than one row are errors.
+ * 	merge-into <filename>: instead of writing the output file, updates the entries of an existing
+ * 		data file in place, keeping other entries, fields and comments.
+ * 	dry-run: with merge-into, only prints the changes that would be made.
+ * 	mod <filename>: generates all the files of a mod, listed in a manifest (by default, ps-mod.json).
+ * 		The files are checked against each other, and are only written if there are no errors.
+ * 		See `readManifest` for its format. The base, aliases, headers, species, strict, new, format,
+ * 		quotes and line-endings options win over the settings of the manifest, and others can't be used with it.
+ * 	watch: keeps running, and writes the output again whenever the input file changes,
+ * 		printing a summary of the entries added, changed and removed since the previous run.
  * 
  * Examples:
  * 	node pokedex-generator.js --new
  *	node pokedex-generator.js mydatabase.csv pokedex.js
  *	node pokedex-generator.js mydatabase.csv pokedex.js --new
+ *	node pokedex-generator.js moves.csv learnsets.js --learnsets
+ *	node pokedex-generator.js mydatabase.csv pokedex.js --base ../data/pokedex.js
+ *	node pokedex-generator.js mydatabase.csv --merge-into mods/mymod/pokedex.js --dry-run
+ *	node pokedex-generator.js --mod mymod/ps-mod.json
+ *	node pokedex-generator.js base.csv patch-a.csv patch-b.csv --output pokedex.js --provenance-comments
  * 
  * The default filenames are:
- * 	input: pokedex.csv
- * 	output: pokedex.js.out
+ * 	input: pokedex.csv (learnsets.csv, moves.csv, abilities.csv, items.csv, formats-data.csv)
+ * 	output: pokedex.js.out (learnsets.js.out, moves.js.out, abilities.js.out, items.js.out, formats-data.js.out)
+ * 
+ * It can also be required as a library:
+ * 	var generator = require('./pokedex-generator.js');
+ * 	var result = generator.generatePokedex(csvText, {isNewEntries: true});
+ * 	// result.pokedex, result.warnings, result.errors
+ * 	fs.writeFileSync('pokedex.js', generator.serialize(result.pokedex, 'cjs'));
+ * 
+ * It is checked by `node test`, or one part at a time, as in `node test/generators.js`.
+ * 
+ * Text input files can be in UTF-8 or UTF-16, and files that are not valid UTF-8 are read as Windows-1252.
+ * 
+ * Warnings and errors are plain objects of the form {message, line, text},
+ * where `line` and `text` are only present if the problem refers to a specific CSV line.
  * 
  */
 
-var Pokedex, Aliases, argv, inputFileName, outputFileName, isNewEntries, contents, lines, indexMap, speciesIndex, line, validProperties;
+var Aliases, DisplayNames, HeaderSynonyms, OutputFormats, validProperties, learnsetProperties, learnMethods, movedexProperties, validTypes, abilityProperties, itemProperties, formatsDataProperties, validTiers, validDoublesTiers, DataTypes;
 var fs = require('fs');
+var vm = require('vm');
+var zlib = require('zlib');
+
+// the alias and display name tables used by `parseAlias` and `toName` while generating data (see `generateData`)
+var currentAliases, currentNames;
 var colorCyan = '\x1B[36m';
 var colorRed = '\x1B[31m';
 var colorMagenta = '\x1B[35m';
@@ -43,85 +113,721 @@ var capitalizeAll = (function () {
 	};
 })();
 
+/**
+ * Turns user input into a display name, such as 'Mr. Mime' or 'Type: Null'.
+ * Names in `DisplayNames` (or in the reference species, while generating data) are returned as they are.
+ * Otherwise, accents, apostrophes and punctuation used in names are kept, and the name is title-cased,
+ * unless it was typed in mixed case, which is taken as intended.
+ */
+
 function toName (text) {
 	if (text && text.id) text = text.id;
 	if (typeof text !== 'string' && typeof text !== 'number') return '';
-	return capitalizeAll(('' + text).toLowerCase().trim().replace(/[^a-z0-9\ \-\']+/g, ''));
+	var id = toId(text);
+	if (Object.prototype.hasOwnProperty.call(currentNames, id)) return currentNames[id];
+	text = ('' + text).normalize('NFC').trim().replace(/\s+/g, ' ').replace(/[^\w\u00C0-\u024F\ \-\'\u2019.:%]+/g, '');
+	if (text !== text.toLowerCase() && text !== text.toUpperCase()) return text;
+	return capitalizeAll(text.toLowerCase());
 }
 
+/**
+ * Turns a name into a PS id. Accents are removed first, so that 'Flabébé' becomes 'flabebe'.
+ */
+
 function toId (text) {
 	if (text && text.id) text = text.id;
 	if (typeof text !== 'string' && typeof text !== 'number') return '';
-	return ('' + text).toLowerCase().replace(/[^a-z0-9]+/g, '');
+	return ('' + text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '');
 }
 
-function buildDexEntry (line) {
+function validateCell (properties, key, row, indexMap, result) {
+	try {
+		return properties[key].validate(row.values[indexMap[key]]);
+	} catch (err) {
+		result.errors.push({message: err.message, line: row.line, text: row.text});
+	}
+}
+
+function buildEntry (row, indexMap, properties, keyColumn, isNewEntries, result) {
 	var entry = Object.create(null);
+	// a "new" or "inherit" column overrides isNewEntries for its row
+	if ('new' in indexMap && row.values[indexMap['new']]) {
+		var isNew = validateCell(properties, 'new', row, indexMap, result);
+		if (isNew !== undefined) isNewEntries = isNew;
+	} else if ('inherit' in indexMap && row.values[indexMap['inherit']]) {
+		var isInherited = validateCell(properties, 'inherit', row, indexMap, result);
+		if (isInherited !== undefined) isNewEntries = !isInherited;
+	}
 	if (!isNewEntries) entry.inherit = true;
+	// nested columns, such as 'spe', go last, so that they can change a single value of a whole column, such as 'basestats'
+	var keys = Object.keys(indexMap).sort(function (a, b) {return !!properties[a].parent - !!properties[b].parent});
+	keys.forEach(function (key) {
+		if (key === 'new' || key === 'inherit') return;
+		if (key === keyColumn && !isNewEntries) return;
+		if (!row.values[indexMap[key]]) return;
+		var value = validateCell(properties, key, row, indexMap, result);
+		if (value === undefined) return;
+		var parent = properties[key].parent;
+		if (parent) {
+			if (!entry[parent]) entry[parent] = properties[key].isArrayItem ? [] : Object.create(null);
+			entry[parent][properties[key].name] = value;
+		} else {
+			entry[properties[key].name] = value;
+		}
+	});
+	return entry;
+}
+
+/**
+ * Returns the fields of a row that were only set by nested columns, such as 'spe' or 'baseStats.spe',
+ * and not by their whole column.
+ */
+
+function getPartialFields (row, indexMap, properties) {
+	var fields = [];
+	var wholeFields = [];
 	for (var key in indexMap) {
-		if (key === 'species' && !isNewEntries) continue;
-		if (!line[indexMap[key]]) continue;
-		entry[validProperties[key].name] = validProperties[key].validate(line[indexMap[key]]);
+		if (!row.values[indexMap[key]]) continue;
+		var parent = properties[key].parent;
+		if (!parent) {
+			wholeFields.push(properties[key].name);
+		} else if (fields.indexOf(parent) < 0) {
+			fields.push(parent);
+		}
+	}
+	return fields.filter(function (field) {return wholeFields.indexOf(field) < 0});
+}
+
+/**
+ * PS replaces whole fields of inherited entries, so fields that were only partly set,
+ * such as a single base stat, are completed with the rest of the field in the base Pokédex.
+ * Without it, or for new entries, missing keys that are not optional, such as other base stats
+ * or a first type, are reported instead.
+ */
+
+function completePartialFields (id, entry, fields, basePokedex, problem, result) {
+	fields.forEach(function (field) {
+		var value = entry[field];
+		var baseEntry = basePokedex && Object.prototype.hasOwnProperty.call(basePokedex, id) ? basePokedex[id] : null;
+		var baseValue = entry.inherit && baseEntry && baseEntry[field];
+		if (!value) return;
+		if (!baseValue || typeof baseValue !== 'object') {
+			var missing = getMissingKeys(validProperties, field, value);
+			if (!missing.length) return;
+			var report = {
+				message: entry.inherit ? "The " + field + " of '" + id + "' have no '" + missing.join("', '") + "', and there is no base Pokédex to take them from. " +
+					"PS replaces the whole " + field + " of inherited entries, so they will be lost." :
+					"New species '" + id + "' has no '" + missing.join("', '") + "' in its " + field + ".",
+				line: problem.line,
+				text: problem.text
+			};
+			if (problem.fileName) report.file = problem.fileName;
+			// a missing first type leaves a hole in the list
+			result[!entry.inherit || Array.isArray(value) ? 'errors' : 'warnings'].push(report);
+			return;
+		}
+		var complete = Array.isArray(baseValue) ? [] : {};
+		for (var key in baseValue) complete[key] = baseValue[key];
+		for (key in value) complete[key] = value[key];
+		entry[field] = complete;
+	});
+}
+
+/**
+ * Adds the fields that `entry` only partly sets to `partialFields`, unless `target`, which it is merged into,
+ * already has them, and removes the ones that it sets whole. `entryPartialFields` are the ones of its row.
+ */
+
+function updatePartialFields (partialFields, target, entry, entryPartialFields) {
+	for (var field in entry) {
+		var isPartial = entryPartialFields.indexOf(field) >= 0;
+		var index = partialFields.indexOf(field);
+		if (isPartial && index < 0 && !(field in target)) partialFields.push(field);
+		if (!isPartial && index >= 0) partialFields.splice(index, 1);
+	}
+}
+
+/**
+ * Completes the partly set fields of Pokédex entries, once all their rows were read, and compares
+ * inherited ones with `options.basePokedex`, leaving out the ones with no differences.
+ * `partialFields` are the fields that each entry only partly sets, keyed by id.
+ */
+
+function finishDexEntries (pokedex, rowsById, partialFields, options, result) {
+	if (options.basePokedex) result.changes = Object.create(null);
+	for (var id in pokedex) {
+		completePartialFields(id, pokedex[id], partialFields[id] || [], options.basePokedex, rowsById[id], result);
+		if (options.basePokedex && pokedex[id].inherit && !diffDexEntry(id, pokedex[id], options, result)) delete pokedex[id];
+	}
+}
+
+function isEqual (a, b) {
+	if (a === b) return true;
+	if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+	if (Array.isArray(a) !== Array.isArray(b)) return false;
+	var keys = Object.keys(a);
+	if (keys.length !== Object.keys(b).length) return false;
+	return keys.every(function (key) {
+		return Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]);
+	});
+}
+
+/**
+ * Removes the fields of an inherited entry that are the same in `options.basePokedex`,
+ * and records the remaining ones in `result.changes`.
+ * Returns null if nothing changed, so that the entry is left out.
+ */
+
+function diffDexEntry (id, entry, options, result) {
+	var baseEntry = Object.prototype.hasOwnProperty.call(options.basePokedex, id) ? options.basePokedex[id] : null;
+	if (!baseEntry) {
+		// species that are not in the species list either were already reported by `checkSpecies`
+		if (options.speciesList && id in options.speciesList) {
+			result.warnings.push({message: "Species '" + id + "' is not in the base Pokédex. All of its fields were kept."});
+		}
+		result.changes[id] = Object.keys(entry).filter(function (field) {return field !== 'inherit'}).map(function (field) {
+			return {field: field, from: undefined, to: entry[field]};
+		});
+		return entry;
+	}
+	var changes = [];
+	for (var field in entry) {
+		if (field === 'inherit') continue;
+		// species references are ids in older data files, and names in newer ones
+		var isSpeciesField = speciesFields.indexOf(field) >= 0;
+		if (isSpeciesField ? isEqual(toSpeciesIds(entry[field]), toSpeciesIds(baseEntry[field])) : isEqual(entry[field], baseEntry[field])) {
+			delete entry[field];
+			continue;
+		}
+		changes.push({field: field, from: baseEntry[field], to: entry[field]});
+	}
+	result.changes[id] = changes;
+	return changes.length ? entry : null;
+}
+
+function buildDexEntry (row, indexMap, options, result) {
+	var entry = buildEntry(row, indexMap, validProperties, 'species', options.isNewEntries, result);
+	// entries are completed and compared with the base Pokédex once all their rows are merged (see `finishDexEntries`)
+	row.partialFields = getPartialFields(row, indexMap, validProperties);
+	return entry;
+}
+
+// the Pokédex fields that refer to other species, which are kept as names (see `formatDexEntry`)
+var speciesFields = ['baseSpecies', 'prevo', 'evos', 'otherFormes', 'cosmeticFormes', 'formeOrder', 'changesFrom', 'battleOnly'];
+
+function toSpeciesIds (value) {
+	return Array.isArray(value) ? value.map(toId) : toId(value);
+}
+
+/**
+ * Converts a Pokédex entry to the shape of the given output format. Older PS data files (cjs) refer to
+ * other species by id, while newer ones (esm, ts and json) name their species in `name` and refer to others by name.
+ */
+
+function formatDexEntry (entry, format) {
+	var formatted = Object.create(null);
+	for (var field in entry) {
+		var value = entry[field];
+		if (format === 'cjs' && speciesFields.indexOf(field) >= 0) value = toSpeciesIds(value);
+		formatted[format !== 'cjs' && field === 'species' ? 'name' : field] = value;
+	}
+	return formatted;
+}
+
+// newer PS data files (esm and ts) no longer have an `id` in moves, abilities and items
+function formatNamedEntry (entry, format) {
+	if (format === 'cjs' || !('id' in entry)) return entry;
+	var formatted = Object.create(null);
+	for (var field in entry) {
+		if (field !== 'id') formatted[field] = entry[field];
 	}
+	return formatted;
+}
+
+/**
+ * Converts the entries of a data object with the `formatEntry` of its data type, if it has one.
+ */
+
+function formatData (data, type, format) {
+	var formatEntry = DataTypes[type].formatEntry;
+	if (!formatEntry) return data;
+	var formatted = Object.create(null);
+	for (var id in data) formatted[id] = formatEntry(data[id], format);
+	return formatted;
+}
+
+function buildMoveEntry (row, indexMap, options, result) {
+	var entry = buildEntry(row, indexMap, movedexProperties, 'name', options.isNewEntries, result);
+	if (options.isNewEntries && entry.name) entry.id = toId(entry.name);
+	return entry;
+}
+
+function addEventStubs (entry, isNewEntries) {
+	var events = entry.events;
+	delete entry.events;
+	if (isNewEntries && entry.name) entry.id = toId(entry.name);
+	// Stubs would override the handlers of inherited entries, so only new entries get them.
+	if (!events || !isNewEntries) return entry;
+	events.forEach(function (hook) {
+		entry[hook] = function () {};
+	});
+	return entry;
+}
+
+function buildAbilityEntry (row, indexMap, options, result) {
+	return addEventStubs(buildEntry(row, indexMap, abilityProperties, 'name', options.isNewEntries, result), options.isNewEntries);
+}
+
+function buildItemEntry (row, indexMap, options, result) {
+	return addEventStubs(buildEntry(row, indexMap, itemProperties, 'name', options.isNewEntries, result), options.isNewEntries);
+}
+
+function buildFormatsEntry (row, indexMap, options, result) {
+	var entry = buildEntry(row, indexMap, formatsDataProperties, 'species', options.isNewEntries, result);
+	delete entry.species; // formats-data entries are only keyed by species
 	return entry;
 }
 
 function parseAlias (alias) {
-	return Aliases[toId(alias)] || alias;
+	return Object.prototype.hasOwnProperty.call(currentAliases, toId(alias)) ? currentAliases[toId(alias)] : alias;
 }
 
-function toShowdownStyle (text) {
-	text = text.replace(/[\r\n]+/g, '\r\n'); // CRLF
-	text = text.replace(/\r\n\t\t\t/g, ' '); // don't indent so deep
-	text = text.replace(/\r\n\t\t\}/g, '}').replace(/\{\ /g, '{'); // fix what second replace broke
-	text = text.replace(/\r\n\t\t\]/g, ']').replace(/\[\ /g, '['); // fix what second replace broke
-	return text;
+/**
+ * Reads a JSON alias file, of the form {"alias": "Species Name"}, and adds its aliases to a copy
+ * of `aliases` (by default, the built-in `Aliases`). Aliases in the file replace the ones they share an id with.
+ * Problems are added to `result` as warnings and errors.
+ *
+ * Returns the new alias table, or null if the file could not be read.
+ */
+
+function loadAliases (jsonText, fileName, aliases, result) {
+	var table = Object.create(null);
+	var base = aliases || Aliases;
+	for (var id in base) table[id] = base[id];
+
+	var json;
+	try {
+		json = JSON.parse(('' + jsonText).replace(/^\uFEFF/, ''));
+	} catch (err) {
+		result.errors.push({message: "Alias file '" + fileName + "' is not valid JSON: " + err.message});
+		return null;
+	}
+	if (!json || typeof json !== 'object' || Array.isArray(json)) {
+		result.errors.push({message: "Alias file '" + fileName + "' must contain an object, of the form {\"alias\": \"Species Name\"}."});
+		return null;
+	}
+
+	var keysById = Object.create(null);
+	for (var key in json) {
+		var aliasId = toId(key);
+		if (typeof json[key] !== 'string' || !toId(json[key])) {
+			result.warnings.push({message: "Alias '" + key + "' in file '" + fileName + "' does not name a species, and was ignored."});
+			continue;
+		}
+		if (!aliasId) {
+			result.warnings.push({message: "Alias '" + key + "' in file '" + fileName + "' is empty once normalized, and was ignored."});
+			continue;
+		}
+		if (aliasId in keysById) {
+			result.warnings.push({message: "Aliases '" + keysById[aliasId] + "' and '" + key + "' in file '" + fileName + "' are the same once normalized. Only '" + key + "' was kept."});
+		}
+		keysById[aliasId] = key;
+		table[aliasId] = json[key];
+	}
+	return table;
+}
+
+/**
+ * Reads a JSON file of header synonyms, of the form {"Header": "column"}, such as {"Tipo": "types"}
+ * or {"Velocidad": "baseStats.spe"}, and adds them to a copy of `synonyms`. Each applies to the data
+ * types that have its column, and wins over the built-in `HeaderSynonyms`.
+ */
+
+function loadHeaderSynonyms (jsonText, fileName, synonyms, result) {
+	var table = Object.create(null);
+	for (var id in synonyms) table[id] = synonyms[id];
+
+	var json;
+	try {
+		json = JSON.parse(('' + jsonText).replace(/^\uFEFF/, ''));
+	} catch (err) {
+		result.errors.push({message: "Header file '" + fileName + "' is not valid JSON: " + err.message});
+		return null;
+	}
+	if (!json || typeof json !== 'object' || Array.isArray(json)) {
+		result.errors.push({message: "Header file '" + fileName + "' must contain an object, of the form {\"Header\": \"column\"}."});
+		return null;
+	}
+
+	for (var header in json) {
+		var column = json[header];
+		var isColumn = typeof column === 'string' && Object.keys(DataTypes).some(function (type) {
+			return DataTypes[type].properties.hasOwnProperty(findHeader(column, DataTypes[type].properties, null));
+		});
+		if (!isColumn) {
+			result.warnings.push({message: "Header '" + header + "' in file '" + fileName + "' does not name a column of any data type, and was ignored."});
+			continue;
+		}
+		if (!toId(header)) {
+			result.warnings.push({message: "Header '" + header + "' in file '" + fileName + "' is empty once normalized, and was ignored."});
+			continue;
+		}
+		table[toId(header)] = column;
+	}
+	return table;
 }
 
 /**
+ * Checks an alias table for cycles and for aliases that shadow a species.
+ * A species is any id in `speciesIds` (an object keyed by id, such as a Pokédex), or the target of any alias.
  *
- * Modified function to parse a CSV string
+ * Aliases that point to other aliases are followed, so the returned table maps each alias
+ * straight to its species. Aliases in a cycle are reported as errors, and left out of it.
+ * Aliases named after a species are reported as warnings, since that species can't be referred to by name.
+ */
+
+function checkAliases (aliases, speciesIds, result) {
+	var table = Object.create(null);
+	var isSpecies = Object.create(null);
+	var id;
+	for (id in speciesIds || {}) isSpecies[id] = true;
+	for (id in Aliases) isSpecies[toId(Aliases[id])] = true;
+	// other targets that are aliases themselves are links of a chain, not species
+	for (id in aliases) {
+		if (!(toId(aliases[id]) in aliases)) isSpecies[toId(aliases[id])] = true;
+	}
+
+	var reported = Object.create(null);
+	for (id in aliases) {
+		var path = [id];
+		var target = aliases[id];
+		var targetId = toId(target);
+		while (targetId in aliases && targetId !== path[path.length - 1] && path.indexOf(targetId) < 0) {
+			path.push(targetId);
+			target = aliases[targetId];
+			targetId = toId(target);
+		}
+		if (path.indexOf(targetId) > 0 || (targetId === id && path.length > 1)) {
+			var cycle = path.slice(path.indexOf(targetId));
+			if (!reported[cycle.slice().sort().join()]) {
+				reported[cycle.slice().sort().join()] = true;
+				result.errors.push({message: "Aliases form a cycle: '" + cycle.concat(targetId).join("' -> '") + "'."});
+			}
+			continue;
+		}
+		table[id] = target;
+		if (isSpecies[id] && targetId !== id) {
+			result.warnings.push({message: "Alias '" + id + "' (to '" + target + "') shadows species '" + id + "'."});
+		}
+	}
+	return table;
+}
+
+/**
+ * Levenshtein distance between two strings.
+ */
+
+function getDistance (a, b) {
+	var previous = [];
+	var current;
+	for (var j = 0; j <= b.length; j++) previous.push(j);
+	for (var i = 1; i <= a.length; i++) {
+		current = [i];
+		for (j = 1; j <= b.length; j++) {
+			current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)));
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/**
+ * Returns up to `max` names from `names` (an object of names keyed by id) whose id is close to `id`.
+ */
+
+function getSuggestions (id, names, max) {
+	var limit = Math.max(1, Math.floor(id.length / 3));
+	var found = [];
+	for (var nameId in names) {
+		if (Math.abs(nameId.length - id.length) > limit) continue;
+		var distance = getDistance(id, nameId);
+		if (distance <= limit) found.push({name: names[nameId], distance: distance});
+	}
+	found.sort(function (a, b) {return a.distance - b.distance || (a.name < b.name ? -1 : 1)});
+	return found.slice(0, max || 3).map(function (suggestion) {return suggestion.name});
+}
+
+/**
+ * Reads a reference species list: a PS Pokédex file, a JSON array of names, or one name per line.
+ * Returns an object of species names keyed by id, or null if the file could not be read.
+ */
+
+function loadSpeciesList (text, fileName, result) {
+	text = ('' + text).replace(/^\uFEFF/, '');
+	var names = Object.create(null);
+	var list;
+	if (/^\s*\[/.test(text)) {
+		try {
+			list = JSON.parse(text);
+		} catch (err) {
+			result.errors.push({message: "Species list '" + fileName + "' is not valid JSON: " + err.message});
+			return null;
+		}
+	} else if (/BattlePokedex/.test(text)) {
+		var pokedex = loadDataFile(text, 'pokedex', fileName, result);
+		if (!pokedex) return null;
+		return getReferenceSpecies(null, pokedex);
+	} else {
+		list = text.split(/\r?\n/);
+	}
+	list.forEach(function (name) {
+		name = ('' + name).trim();
+		if (toId(name)) names[toId(name)] = name;
+	});
+	return names;
+}
+
+/**
+ * Merges a species list and the species of a Pokédex into one object of names keyed by id.
+ */
+
+function getReferenceSpecies (speciesList, pokedex) {
+	var names = Object.create(null);
+	var id;
+	for (id in pokedex || {}) names[id] = pokedex[id].species || pokedex[id].name || id;
+	for (id in speciesList || {}) names[id] = speciesList[id];
+	return names;
+}
+
+/**
+ * Checks the species of a row against the reference species, suggesting close names
+ * (and aliases) if it isn't there. Unknown species are only errors for inherited entries
+ * in strict mode; otherwise, they are warnings, and new entries are only warned about
+ * if they look like a typo.
+ */
+
+function checkSpecies (row, name, id, reference, isNewEntry, options, result) {
+	if (id in reference) return;
+	var aliasNames = Object.create(null);
+	for (var alias in currentAliases) aliasNames[alias] = currentAliases[alias];
+	var suggestions = getSuggestions(id, reference);
+	getSuggestions(id, aliasNames, 1).forEach(function (suggestion) {
+		if (suggestions.indexOf(suggestion) < 0) suggestions.push(suggestion);
+	});
+	if (isNewEntry && !suggestions.length) return;
+
+	var message = "Species '" + name + "' is not in the reference species list" + (isNewEntry ? ", and will be a new species." : ".");
+	if (suggestions.length) message += " Did you mean '" + suggestions.join("', '") + "'?";
+	if (!isNewEntry && options.isStrict) {
+		message += " If it is a new species, mark it as new.";
+		result.errors.push({message: message, line: row.line, text: row.text});
+	} else {
+		result.warnings.push({message: message, line: row.line, text: row.text});
+	}
+}
+
+/**
+ * CSV parser, following RFC 4180.
  *
- * Original function by ridgerunner
- * http://stackoverflow.com/questions/8493195/how-can-i-parse-a-csv-string-with-javascript
+ * Fields may be quoted, with quotes inside them doubled (""), and quoted fields may span
+ * several lines. Unquoted fields are trimmed. The delimiter is detected from the first line
+ * unless `options.delimiter` is given, so files exported with ';' or tabs are also read.
  *
+ * Text can be fed in chunks with `write`, and each record is passed to `onRow` as soon as
+ * it is complete, as {line, text, values}. Problems are passed to `onError` as
+ * {message, line, column, text} instead, once the record they are in is complete,
+ * and parsing goes on with the next record.
  */
 
-function CSVtoArray(text, index) {
-	var re_valid = /^\s*(?:"[^"\\]*(?:\\[\S\s][^"\\]*)*"|[^,"\s\\]*(?:\s+[^,"\s\\]+)*)\s*(?:,\s*(?:"[^"\\]*(?:\\[\S\s][^"\\]*)*"|[^,"\s\\]*(?:\s+[^,"\s\\]+)*)\s*)*$/;
-	var re_value = /(?!\s*$)\s*(?:"([^"\\]*(?:\\[\S\s][^"\\]*)*)"|([^,"\s\\]*(?:\s+[^,"\s\\]+)*))\s*(?:,|$)/g;
+function createCSVParser (options, onRow, onError) {
+	if (!options) options = {};
+	var delimiter = options.delimiter || null;
+	var buffer = ''; // input held back until the delimiter is known
+	var state = 'start';
+	var values = [];
+	var field = '';
+	var recordText = '';
+	var recordLine = 1;
+	var line = 1;
+	var column = 0;
+	var lastChar = '';
+	var quoteLine = 0;
+	var quoteColumn = 0;
+	var recordErrors = []; // reported once the whole record is known
 
-	if (!re_valid.test(text)) {
-		console.log(
-			"" + colorRed + "Error  " + colorCyan + "File '" + colorMagenta + inputFileName + colorCyan + "' does not contain valid CSV data:\n" +
-			colorRed + "L" + (index + 1) + "  " + colorMagenta + text + colorEnd
-		);
-		process.exit(1);
-	}
-	var a = []; // Initialize array to receive values.
-	text.replace(re_value, // "Walk" the string using replace with callback.
-		function (m0, m1, m2) {
-			// Remove backslash from \" in double quoted values.
-			if (m1 !== undefined) a.push(m1.replace(/\\"/g, '"'));
-			else if (m2 !== undefined) a.push(m2);
-			return ''; // Return empty string.
+	var detectDelimiter = function (text) {
+		var header = text.split(/[\r\n]/)[0].replace(/"[^"]*"/g, '');
+		var best = ',';
+		var bestCount = 0;
+		[',', ';', '\t', '|'].forEach(function (candidate) {
+			var count = header.split(candidate).length - 1;
+			if (count > bestCount) {
+				best = candidate;
+				bestCount = count;
+			}
 		});
-	// Handle special case of empty last value.
-	if (/,\s*$/.test(text)) a.push('');
-	return a;
+		return best;
+	};
+
+	var error = function (message, errorLine, errorColumn) {
+		recordErrors.push({message: message, line: errorLine, column: errorColumn});
+	};
+
+	var endField = function () {
+		values.push(state === 'unquoted' || state === 'start' ? field.trim() : field);
+		field = '';
+		state = 'start';
+	};
+
+	var endRecord = function () {
+		endField();
+		if (recordErrors.length) {
+			recordErrors.forEach(function (problem) {
+				problem.text = recordText;
+				if (onError) onError(problem);
+			});
+			recordErrors = [];
+		} else if (values.some(function (value) {return value})) {
+			// blank records, such as the ',,' rows that spreadsheets export after the data, are skipped
+			onRow({line: recordLine, text: recordText, values: values});
+		}
+		values = [];
+		recordText = '';
+		recordLine = line;
+	};
+
+	var parseChar = function (c) {
+		var isNewLine = c === '\n' || c === '\r';
+		if (c === '\n' && lastChar === '\r') {
+			// second half of a CRLF
+			lastChar = c;
+			if (state === 'quoted') {
+				field += c;
+				recordText += c;
+			}
+			return;
+		}
+		lastChar = c;
+
+		if (isNewLine) {
+			line++;
+			column = 0;
+			if (state === 'quoted') {
+				field += c;
+				recordText += c;
+				return;
+			}
+			endRecord();
+			return;
+		}
+		column++;
+		recordText += c;
+
+		switch (state) {
+		case 'start':
+			if (c === '"') {
+				field = '';
+				state = 'quoted';
+				quoteLine = line;
+				quoteColumn = column;
+			} else if (c === delimiter) {
+				endField();
+			} else {
+				field += c;
+				if (c !== ' ' && c !== '\t') state = 'unquoted';
+			}
+			break;
+		case 'unquoted':
+			if (c === delimiter) {
+				endField();
+				break;
+			}
+			if (c === '"') error("Unexpected quote in an unquoted field. Quote the whole field, and double the quotes inside it.", line, column);
+			field += c;
+			break;
+		case 'quoted':
+			if (c === '"') state = 'closed';
+			else field += c;
+			break;
+		case 'closed':
+			if (c === '"') {
+				field += c;
+				state = 'quoted';
+			} else if (c === delimiter) {
+				endField();
+			} else if (c !== ' ' && c !== '\t') {
+				error("Unexpected character after a closing quote.", line, column);
+				field += c;
+				state = 'unquoted';
+			}
+			break;
+		}
+	};
+
+	var parse = function (text) {
+		for (var i = 0, len = text.length; i < len; i++) parseChar(text.charAt(i));
+	};
+
+	return {
+		write: function (chunk) {
+			if (delimiter) return parse('' + chunk);
+			buffer += chunk;
+			if (!/[\r\n]/.test(buffer)) return;
+			delimiter = detectDelimiter(buffer);
+			parse(buffer);
+			buffer = '';
+		},
+		end: function () {
+			if (!delimiter) {
+				delimiter = detectDelimiter(buffer);
+				parse(buffer);
+				buffer = '';
+			}
+			if (state === 'quoted') error("Quoted field is never closed.", quoteLine, quoteColumn);
+			if (state !== 'start' || field || values.length) endRecord();
+		},
+		getDelimiter: function () {
+			return delimiter;
+		}
+	};
 }
 
-Pokedex = Object.create(null);
-indexMap = Object.create(null);
+/**
+ * Parses a single line of comma-separated values, and returns its values, or null if it is not valid.
+ * Kept for scripts written against older versions of this file, which call it as in `lines.map(CSVtoArray)`,
+ * so it only reads its first argument; see `createCSVParser` for other delimiters.
+ */
+
+function CSVtoArray (text) {
+	var values = null;
+	var isValid = true;
+	var parser = createCSVParser({delimiter: ','}, function (row) {
+		if (!values) values = row.values;
+	}, function () {
+		isValid = false;
+	});
+	parser.write(text);
+	parser.end();
+	return isValid ? values || [] : null;
+}
 
 validProperties = {
+	'inherit': {
+		name: 'inherit',
+		validate: function (val) {return parseBoolean(val, "inherit")},
+		format: function (isInherited) {return isInherited ? 'yes' : 'no'}
+	},
+	'new': {
+		name: 'new',
+		validate: function (val) {return parseBoolean(val, "new")}
+	},
 	'num': {
 		name: 'num',
-		validate: function (val) {return parseInt(val, 10)}
+		validate: function (val) {return parseInteger(val, -Infinity, Infinity, "Pokédex number")}
 	},
 	'species': {
 		name: 'species',
-		validate: function (val) {return toName(parseAlias(val)).replace(/\s/g, '-')}
+		validate: parseSpeciesName
 	},
 	'basespecies': {
 		name: 'baseSpecies',
@@ -137,7 +843,8 @@ validProperties = {
 	},
 	'types': {
 		name: 'types',
-		validate: function (val) {return val.split('/').map(toId).map(capitalizeAll)}
+		validate: function (val) {return val.split('/').map(toId).map(capitalizeAll)},
+		format: function (types) {return types.join('/')}
 	},
 	'gender': {
 		name: 'gender',
@@ -146,100 +853,572 @@ validProperties = {
 	'genderratio': {
 		name: 'genderRatio',
 		validate: function (val) {
-			var ratio = val.replace(/\,/g, '.').split('/');
+			var ratio = val.split('/');
+			if (ratio.length !== 2) throw new Error("'" + val + "' is not a valid gender ratio. Use two ratios, as in 0.875/0.125.");
 			return {
-				'M': Number(ratio[0]),
-				'F': Number(ratio[1])
+				'M': parseRatio(ratio[0]),
+				'F': parseRatio(ratio[1])
 			};
-		}
+		},
+		format: function (ratio) {return ratio.M + '/' + ratio.F}
 	},
 	'basestats': {
 		name: 'baseStats',
 		validate: function (val) {
 			var stats = val.split('/');
+			if (stats.length !== 6) throw new Error("'" + val + "' is not a valid stat spread. Use six base stats, as in 45/49/49/65/65/45.");
 			return {
-				'hp': parseInt(stats[0], 10),
-				'atk': parseInt(stats[1], 10),
-				'def': parseInt(stats[2], 10),
-				'spa': parseInt(stats[3], 10),
-				'spd': parseInt(stats[4], 10),
-				'spe': parseInt(stats[5], 10)
+				'hp': parseInteger(stats[0], 1, 255, "base stat"),
+				'atk': parseInteger(stats[1], 1, 255, "base stat"),
+				'def': parseInteger(stats[2], 1, 255, "base stat"),
+				'spa': parseInteger(stats[3], 1, 255, "base stat"),
+				'spd': parseInteger(stats[4], 1, 255, "base stat"),
+				'spe': parseInteger(stats[5], 1, 255, "base stat")
 			};
-		}
+		},
+		format: function (stats) {return [stats.hp, stats.atk, stats.def, stats.spa, stats.spd, stats.spe].join('/')}
+	},
+	'type1': {
+		name: '0',
+		parent: 'types',
+		isArrayItem: true,
+		validate: function (val) {return capitalizeAll(toId(val))}
+	},
+	'type2': {
+		name: '1',
+		parent: 'types',
+		isOptional: true,
+		isArrayItem: true,
+		validate: function (val) {return capitalizeAll(toId(val))}
+	},
+	'hp': {
+		name: 'hp',
+		parent: 'baseStats',
+		validate: function (val) {return parseInteger(val, 1, 255, "base stat")}
+	},
+	'atk': {
+		name: 'atk',
+		parent: 'baseStats',
+		validate: function (val) {return parseInteger(val, 1, 255, "base stat")}
+	},
+	'def': {
+		name: 'def',
+		parent: 'baseStats',
+		validate: function (val) {return parseInteger(val, 1, 255, "base stat")}
+	},
+	'spa': {
+		name: 'spa',
+		parent: 'baseStats',
+		validate: function (val) {return parseInteger(val, 1, 255, "base stat")}
+	},
+	'spd': {
+		name: 'spd',
+		parent: 'baseStats',
+		validate: function (val) {return parseInteger(val, 1, 255, "base stat")}
+	},
+	'spe': {
+		name: 'spe',
+		parent: 'baseStats',
+		validate: function (val) {return parseInteger(val, 1, 255, "base stat")}
+	},
+	'genderratiom': {
+		name: 'M',
+		parent: 'genderRatio',
+		validate: function (val) {return parseRatio(val)}
+	},
+	'genderratiof': {
+		name: 'F',
+		parent: 'genderRatio',
+		validate: function (val) {return parseRatio(val)}
 	},
 	'abilities': {
 		name: 'abilities',
 		validate: function (val) {
-			var abilities = val.replace(/\-/g, '\s').split('/').map(toName);
+			var abilities = val.split('/').map(toName);
 			var output = {'0': abilities[0]};
 			if (abilities[1]) output['1'] = abilities[1];
 			if (abilities[2]) output['H'] = abilities[2];
 			return output;
-		}
+		},
+		format: function (abilities) {return [abilities['0'], abilities['1'] || '', abilities['H'] || ''].join('/').replace(/\/+$/, '')}
+	},
+	'ability0': {
+		name: '0',
+		parent: 'abilities',
+		validate: function (val) {return toName(val)}
+	},
+	'ability1': {
+		name: '1',
+		parent: 'abilities',
+		isOptional: true,
+		validate: function (val) {return toName(val)}
+	},
+	'abilityh': {
+		name: 'H',
+		parent: 'abilities',
+		isOptional: true,
+		validate: function (val) {return toName(val)}
 	},
 	'heightm': {
 		name: 'heightm',
-		validate: function (val) {return Number(val.replace(/\,/g, '.'))}
+		validate: function (val) {return parseNumber(val, 0, Infinity, "height")}
 	},
 	'weightkg': {
 		name: 'weightkg',
-		validate: function (val) {return Number(val.replace(/\,/g, '.'))}
+		validate: function (val) {return parseNumber(val, 0, Infinity, "weight")}
 	},
 	'color': {
 		name: 'color',
-		validate: function (val) {return toId(val)}
+		validate: function (val) {return capitalizeAll(toId(val))} // PS colors are capitalized, as in 'Green'
 	},
 	'prevo': {
 		name: 'prevo',
-		validate: function (val) {return toId(val)}
+		validate: parseSpeciesName
+	},
+	'evos': {
+		name: 'evos',
+		validate: parseSpeciesList,
+		format: function (evos) {return evos.join('/')}
+	},
+	'evotype': {
+		name: 'evoType',
+		validate: function (val) {
+			return findIn(['trade', 'useItem', 'levelMove', 'levelExtra', 'levelFriendship', 'levelHold', 'other'], val, "evoType");
+		}
 	},
 	'evolevel': {
 		name: 'evoLevel',
-		validate: function (val) {return parseInt(val, 10)}
+		validate: function (val) {return parseInteger(val, 1, 100, "evoLevel")}
+	},
+	'evomove': {
+		name: 'evoMove',
+		validate: function (val) {return toName(val)}
+	},
+	'evoitem': {
+		name: 'evoItem',
+		validate: function (val) {return toName(val)}
+	},
+	'evocondition': {
+		name: 'evoCondition',
+		validate: function (val) {return val.trim()}
 	},
 	'egggroups': {
 		name: 'eggGroups',
-		validate: function (val) {return val.split('/').map(toName)}
+		validate: function (val) {return val.split('/').map(toName)},
+		format: function (eggGroups) {return eggGroups.join('/')}
+	},
+	'tags': {
+		name: 'tags',
+		validate: function (val) {
+			return val.split('/').map(function (tag) {
+				return findIn(['Mythical', 'Restricted Legendary', 'Sub-Legendary', 'Ultra Beast', 'Paradox'], tag, "tag");
+			});
+		},
+		format: function (tags) {return tags.join('/')}
 	},
 	'otherformes': {
 		name: 'otherFormes',
-		validate: function (val) {return val.split('/').map(toId)}
+		validate: parseSpeciesList,
+		format: function (formes) {return formes.join('/')}
+	},
+	'cosmeticformes': {
+		name: 'cosmeticFormes',
+		validate: parseSpeciesList,
+		format: function (formes) {return formes.join('/')}
+	},
+	'formeorder': {
+		name: 'formeOrder',
+		validate: parseSpeciesList,
+		format: function (formes) {return formes.join('/')}
+	},
+	'cangigantamax': {
+		name: 'canGigantamax',
+		validate: function (val) {
+			var move = toName(val);
+			if (!/^G-Max /i.test(move)) throw new Error("'" + val + "' is not a G-Max move.");
+			return move;
+		}
+	},
+	'requireditem': {
+		name: 'requiredItem',
+		validate: function (val) {return toName(val)}
+	},
+	'requireditems': {
+		name: 'requiredItems',
+		validate: function (val) {return val.split('/').map(toName)},
+		format: function (items) {return items.join('/')}
+	},
+	'requiredability': {
+		name: 'requiredAbility',
+		validate: function (val) {return toName(val)}
+	},
+	'changesfrom': {
+		name: 'changesFrom',
+		validate: parseSpeciesName
+	},
+	'battleonly': {
+		name: 'battleOnly',
+		validate: function (val) {
+			// a list, for formes that can be reached from more than one forme, such as Zygarde-Complete
+			var formes = parseSpeciesList(val);
+			return formes.length > 1 ? formes : formes[0];
+		},
+		format: function (formes) {return [].concat(formes).join('/')}
+	},
+	'maxhp': {
+		name: 'maxHP',
+		validate: function (val) {return parseInteger(val, 1, 999, "maxHP")}
+	},
+	'gen': {
+		name: 'gen',
+		validate: function (val) {return parseInteger(val, 1, 9, "generation")}
+	},
+	'isnonstandard': {
+		name: 'isNonstandard',
+		validate: parseNonstandard
 	}
 };
 
-Aliases = {
-	// mega evos
-	"megaabomasnow": "Abomasnow-Mega",
-	"megaabsol": "Absol-Mega",
-	"megaaerodactyl": "Aerodactyl-Mega",
-	"megaaggron": "Aggron-Mega",
-	"megaalakazam": "Alakazam-Mega",
-	"megaampharos": "Ampharos-Mega",
-	"megabanette": "Banette-Mega",
-	"megablastoise": "Blastoise-Mega",
-	"megablaziken": "Blaziken-Mega",
-	"megacharizard": "Charizard-Mega-Y",
-	"megacharizardx": "Charizard-Mega-X",
-	"megacharizardy": "Charizard-Mega-Y",
-	"megagarchomp": "Garchomp-Mega",
-	"megagardevoir": "Gardevoir-Mega",
-	"megagengar": "Gengar-Mega",
-	"megagyarados": "Gyarados-Mega",
-	"megaheracross": "Heracross-Mega",
-	"megahoundoom": "Houndoom-Mega",
-	"megakangaskhan": "Kangaskhan-Mega",
-	"megalatias": "Latias-Mega",
-	"megalatios": "Latios-Mega",
-	"megalucario": "Lucario-Mega",
-	"megaluke": "Lucario-Mega",
-	"megamanectric": "Manectric-Mega",
-	"megamawile": "Mawile-Mega",
-	"megamaw": "Mawile-Mega",
-	"megamedicham": "Medicham-Mega",
-	"megamedi": "Medicham-Mega",
-	"megamewtwo": "Mewtwo-Mega-Y",
-	"megamewtwox": "Mewtwo-Mega-X",
-	"megamewtwoy": "Mewtwo-Mega-Y",
+function parseSpeciesName (val) {
+	var name = parseAlias(val);
+	// known names, such as 'Tapu Koko', keep their spaces, and the rest are formes, as in 'Charizard-Mega-X'
+	if (Object.prototype.hasOwnProperty.call(currentNames, toId(name))) return currentNames[toId(name)];
+	return toName(name).replace(/\s/g, '-');
+}
+
+function parseRatio (val) {
+	return parseNumber(val, 0, 1, "ratio, from 0 to 1");
+}
+
+function parseSpeciesList (val) {
+	return val.split('/').map(parseSpeciesName).filter(function (name) {return name});
+}
+
+learnMethods = {
+	'l': 'L', 'level': 'L', 'levelup': 'L',
+	'm': 'M', 'tm': 'M', 'hm': 'M', 'machine': 'M',
+	'e': 'E', 'egg': 'E', 'eggmove': 'E',
+	't': 'T', 'tutor': 'T', 'movetutor': 'T',
+	's': 'S', 'event': 'S'
+};
+
+learnsetProperties = {
+	'species': {
+		name: 'species',
+		validate: function (val) {return toId(parseAlias(val))}
+	},
+	'move': {
+		name: 'move',
+		validate: function (val) {
+			var move = toId(val);
+			if (!move) throw new Error("Move name is missing.");
+			return move;
+		}
+	},
+	'method': {
+		name: 'method',
+		validate: function (val) {
+			var method = learnMethods[toId(val)];
+			if (!method) throw new Error("'" + val + "' is not a valid learn method. Use one of: level, tm, egg, tutor, event.");
+			return method;
+		}
+	},
+	'level': {
+		name: 'level',
+		validate: function (val) {
+			var level = parseInt(val, 10);
+			if (!(level >= 1 && level <= 100)) throw new Error("'" + val + "' is not a valid level.");
+			return level;
+		}
+	},
+	'event': {
+		name: 'event',
+		validate: function (val) {
+			var index = parseInt(val, 10);
+			if (!(index >= 0)) throw new Error("'" + val + "' is not a valid event index.");
+			return index;
+		}
+	},
+	'gen': {
+		name: 'gen',
+		validate: function (val) {
+			var gen = parseInt(val, 10);
+			if (!(gen >= 1 && gen <= 9)) throw new Error("'" + val + "' is not a valid generation.");
+			return gen;
+		}
+	}
+};
+
+validTypes = ['Bug', 'Dark', 'Dragon', 'Electric', 'Fairy', 'Fighting', 'Fire', 'Flying', 'Ghost', 'Grass', 'Ground', 'Ice', 'Normal', 'Poison', 'Psychic', 'Rock', 'Steel', 'Water'];
+
+function findIn (list, val, description) {
+	var id = toId(val);
+	var exact = ('' + val).trim().toLowerCase();
+	for (var i = 0; i < list.length; i++) {
+		if (list[i].toLowerCase() === exact) return list[i];
+	}
+	// '(OU)' and 'OU' share an id, so only fall back to ids if there is no exact match
+	for (i = 0; i < list.length; i++) {
+		if (toId(list[i]) === id) return list[i];
+	}
+	throw new Error("'" + val + "' is not a valid " + description + ". Use one of: " + list.join(", ") + ".");
+}
+
+function parseInteger (val, min, max, description) {
+	var number = Number(('' + val).trim());
+	if (('' + val).trim() === '' || number % 1 !== 0 || number < min || number > max) {
+		throw new Error("'" + val + "' is not a valid " + description + ".");
+	}
+	return number;
+}
+
+// decimal commas, as in '8,5', are read as points
+function parseNumber (val, min, max, description) {
+	var text = ('' + val).trim().replace(/\,/g, '.');
+	var number = Number(text);
+	if (text === '' || isNaN(number) || number < min || number > max) {
+		throw new Error("'" + val + "' is not a valid " + description + ".");
+	}
+	return number;
+}
+
+movedexProperties = {
+	'num': {
+		name: 'num',
+		validate: function (val) {return parseInteger(val, -Infinity, Infinity, "move number")}
+	},
+	'name': {
+		name: 'name',
+		validate: function (val) {return val.trim()}
+	},
+	'basepower': {
+		name: 'basePower',
+		validate: function (val) {return parseInteger(val, 0, 255, "base power")}
+	},
+	'accuracy': {
+		name: 'accuracy',
+		validate: function (val) {
+			if (toId(val) in {'true': 1, 'nevermisses': 1} || val.trim() in {'-': 1, '—': 1}) return true;
+			return parseInteger(val.replace('%', ''), 1, 100, "accuracy");
+		}
+	},
+	'pp': {
+		name: 'pp',
+		validate: function (val) {return parseInteger(val, 1, 64, "PP value")}
+	},
+	'type': {
+		name: 'type',
+		validate: function (val) {return findIn(validTypes, val, "type")}
+	},
+	'category': {
+		name: 'category',
+		validate: function (val) {return findIn(['Physical', 'Special', 'Status'], val, "category")}
+	},
+	'priority': {
+		name: 'priority',
+		validate: function (val) {return parseInteger(val, -7, 5, "priority")}
+	},
+	'target': {
+		name: 'target',
+		validate: function (val) {
+			return findIn([
+				'normal', 'self', 'any', 'adjacentAlly', 'adjacentAllyOrSelf', 'adjacentFoe', 'allAdjacent', 'allAdjacentFoes',
+				'allySide', 'foeSide', 'all', 'allyTeam', 'randomNormal', 'scripted'
+			], val, "target");
+		}
+	},
+	'flags': {
+		name: 'flags',
+		validate: function (val) {
+			// the flags of current PS moves, and 'authentic', the older name of 'bypasssub'
+			var validFlags = [
+				'allyanim', 'authentic', 'bite', 'bullet', 'bypasssub', 'cantusetwice', 'charge', 'contact', 'dance', 'defrost',
+				'distance', 'failcopycat', 'failencore', 'failinstruct', 'failmefirst', 'failmimic', 'futuremove', 'gravity', 'heal',
+				'metronome', 'mirror', 'mustpressure', 'noassist', 'nonsky', 'noparentalbond', 'nosketch', 'nosleeptalk',
+				'pledgecombo', 'powder', 'protect', 'pulse', 'punch', 'recharge', 'reflectable', 'slicing', 'snatch', 'sound', 'wind'
+			];
+			var flags = {};
+			val.split('/').forEach(function (flag) {
+				if (!flag.trim()) return;
+				flags[findIn(validFlags, flag, "move flag")] = 1;
+			});
+			return flags;
+		}
+	},
+	'secondarychance': {
+		name: 'chance',
+		parent: 'secondary',
+		validate: function (val) {return parseInteger(val.replace('%', ''), 1, 100, "secondary effect chance")}
+	},
+	'secondarystatus': {
+		name: 'status',
+		parent: 'secondary',
+		validate: function (val) {
+			var statuses = {
+				'brn': 'brn', 'burn': 'brn',
+				'par': 'par', 'paralysis': 'par', 'paralyze': 'par',
+				'slp': 'slp', 'sleep': 'slp',
+				'frz': 'frz', 'freeze': 'frz',
+				'psn': 'psn', 'poison': 'psn',
+				'tox': 'tox', 'toxic': 'tox', 'badlypoisoned': 'tox'
+			};
+			var status = statuses[toId(val)];
+			if (!status) throw new Error("'" + val + "' is not a valid status. Use one of: brn, par, slp, frz, psn, tox.");
+			return status;
+		}
+	}
+};
+
+function parseBoolean (val, description) {
+	var id = toId(val);
+	if (id in {'true': 1, 'yes': 1, 'y': 1, 'x': 1, '1': 1}) return true;
+	if (id in {'false': 1, 'no': 1, 'n': 1, '0': 1}) return false;
+	throw new Error("'" + val + "' is not a valid value for " + description + ". Use yes or no.");
+}
+
+function parseEventHooks (val) {
+	return val.split('/').map(function (hook) {
+		hook = hook.trim().replace(/\s+/g, '');
+		if (!/^on[A-Z]/.test(hook)) hook = 'on' + hook.charAt(0).toUpperCase() + hook.slice(1);
+		if (!/^on[A-Z][A-Za-z]*$/.test(hook)) throw new Error("'" + hook + "' is not a valid event hook.");
+		return hook;
+	});
+}
+
+abilityProperties = {
+	'num': {
+		name: 'num',
+		validate: function (val) {return parseInteger(val, -Infinity, Infinity, "ability number")}
+	},
+	'name': {
+		name: 'name',
+		validate: function (val) {return toName(val)}
+	},
+	'desc': {
+		name: 'desc',
+		validate: function (val) {return val.trim()}
+	},
+	'shortdesc': {
+		name: 'shortDesc',
+		validate: function (val) {return val.trim()}
+	},
+	'rating': {
+		name: 'rating',
+		validate: function (val) {
+			var rating = Number(val.replace(/\,/g, '.'));
+			if (isNaN(rating) || rating < -1 || rating > 5) throw new Error("'" + val + "' is not a valid rating.");
+			return rating;
+		}
+	},
+	'events': {
+		name: 'events',
+		validate: parseEventHooks
+	}
+};
+
+itemProperties = {
+	'num': {
+		name: 'num',
+		validate: function (val) {return parseInteger(val, -Infinity, Infinity, "item number")}
+	},
+	'name': abilityProperties.name,
+	'desc': abilityProperties.desc,
+	'shortdesc': abilityProperties.shortdesc,
+	'flingpower': {
+		name: 'basePower',
+		parent: 'fling',
+		validate: function (val) {return parseInteger(val, 0, 255, "fling power")}
+	},
+	'isgem': {
+		name: 'isGem',
+		validate: function (val) {return parseBoolean(val, "isGem")}
+	},
+	'isberry': {
+		name: 'isBerry',
+		validate: function (val) {return parseBoolean(val, "isBerry")}
+	},
+	'events': abilityProperties.events
+};
+
+validTiers = [
+	'Uber', 'OU', 'BL', 'UU', 'BL2', 'RU', 'BL3', 'NU', 'BL4', 'PU', '(OU)', '(UU)', '(RU)', '(NU)', '(PU)',
+	'NFE', 'LC Uber', 'LC', 'Unreleased', 'Illegal', 'CAP', 'CAP NFE', 'CAP LC'
+];
+
+validDoublesTiers = [
+	'DUber', 'DOU', 'DBL', 'DUU', '(DUU)', 'NFE', 'LC Uber', 'LC', 'Unreleased', 'Illegal', 'CAP', 'CAP NFE', 'CAP LC'
+];
+
+function parseNonstandard (val) {
+	var id = toId(val);
+	if (id in {'true': 1, 'yes': 1, 'y': 1, 'x': 1, '1': 1}) return true;
+	return findIn(['CAP', 'Past', 'Future', 'Unobtainable', 'LGPE', 'Custom', 'Gigantamax'], val, "isNonstandard value");
+}
+
+formatsDataProperties = {
+	'species': {
+		name: 'species',
+		validate: function (val) {return toId(parseAlias(val))}
+	},
+	'tier': {
+		name: 'tier',
+		validate: function (val) {return findIn(validTiers, val, "tier")}
+	},
+	'doublestier': {
+		name: 'doublesTier',
+		validate: function (val) {return findIn(validDoublesTiers, val, "doubles tier")}
+	},
+	'randombattlemoves': {
+		name: 'randomBattleMoves',
+		validate: function (val) {return val.split('/').map(toId).filter(function (move) {return move})}
+	},
+	'randomdoublebattlemoves': {
+		name: 'randomDoubleBattleMoves',
+		validate: function (val) {return val.split('/').map(toId).filter(function (move) {return move})}
+	},
+	'isnonstandard': {
+		name: 'isNonstandard',
+		validate: parseNonstandard
+	},
+	'unreleasedhidden': {
+		name: 'unreleasedHidden',
+		validate: function (val) {return parseBoolean(val, "unreleasedHidden")}
+	}
+};
+
+Aliases = {
+	// mega evos
+	"megaabomasnow": "Abomasnow-Mega",
+	"megaabsol": "Absol-Mega",
+	"megaaerodactyl": "Aerodactyl-Mega",
+	"megaaggron": "Aggron-Mega",
+	"megaalakazam": "Alakazam-Mega",
+	"megaampharos": "Ampharos-Mega",
+	"megabanette": "Banette-Mega",
+	"megablastoise": "Blastoise-Mega",
+	"megablaziken": "Blaziken-Mega",
+	"megacharizard": "Charizard-Mega-Y",
+	"megacharizardx": "Charizard-Mega-X",
+	"megacharizardy": "Charizard-Mega-Y",
+	"megagarchomp": "Garchomp-Mega",
+	"megagardevoir": "Gardevoir-Mega",
+	"megagengar": "Gengar-Mega",
+	"megagyarados": "Gyarados-Mega",
+	"megaheracross": "Heracross-Mega",
+	"megahoundoom": "Houndoom-Mega",
+	"megakangaskhan": "Kangaskhan-Mega",
+	"megalatias": "Latias-Mega",
+	"megalatios": "Latios-Mega",
+	"megalucario": "Lucario-Mega",
+	"megaluke": "Lucario-Mega",
+	"megamanectric": "Manectric-Mega",
+	"megamawile": "Mawile-Mega",
+	"megamaw": "Mawile-Mega",
+	"megamedicham": "Medicham-Mega",
+	"megamedi": "Medicham-Mega",
+	"megamewtwo": "Mewtwo-Mega-Y",
+	"megamewtwox": "Mewtwo-Mega-X",
+	"megamewtwoy": "Mewtwo-Mega-Y",
 	"megapinsir": "Pinsir-Mega",
 	"megascizor": "Scizor-Mega",
 	"megatyranitar": "Tyranitar-Mega",
@@ -392,57 +1571,2771 @@ Aliases = {
 	"rankurusu": "Reuniclus",
 	"borutorosu": "Thundurus"
 };
+currentAliases = Aliases;
 
-argv = process.argv.slice(2).filter(function (option) {
-	if (option[0] === '-' && option[1] === '-') {
-		if (toId(option.slice(2)) === 'new') isNewEntries = true;
-		return false;
+/**
+ * Display names that can't be told from their ids, keyed by id.
+ */
+
+DisplayNames = {
+	// species
+	"mrmime": "Mr. Mime",
+	"mrmimegalar": "Mr. Mime-Galar",
+	"mimejr": "Mime Jr.",
+	"mrrime": "Mr. Rime",
+	"farfetchd": "Farfetch\u2019d",
+	"farfetchdgalar": "Farfetch\u2019d-Galar",
+	"sirfetchd": "Sirfetch\u2019d",
+	"flabebe": "Flab\u00e9b\u00e9",
+	"typenull": "Type: Null",
+	"porygon2": "Porygon2",
+	"porygonz": "Porygon-Z",
+	"hooh": "Ho-Oh",
+	"jangmoo": "Jangmo-o",
+	"hakamoo": "Hakamo-o",
+	"kommoo": "Kommo-o",
+	"kommoototem": "Kommo-o-Totem",
+	"nidoranf": "Nidoran-F",
+	"nidoranm": "Nidoran-M",
+	"tapukoko": "Tapu Koko",
+	"tapulele": "Tapu Lele",
+	"tapubulu": "Tapu Bulu",
+	"tapufini": "Tapu Fini",
+	"chiyu": "Chi-Yu",
+	"chienpao": "Chien-Pao",
+	"tinglu": "Ting-Lu",
+	"wochien": "Wo-Chien",
+	"zygarde10": "Zygarde-10%",
+	"greattusk": "Great Tusk",
+	"screamtail": "Scream Tail",
+	"brutebonnet": "Brute Bonnet",
+	"fluttermane": "Flutter Mane",
+	"slitherwing": "Slither Wing",
+	"sandyshocks": "Sandy Shocks",
+	"roaringmoon": "Roaring Moon",
+	"walkingwake": "Walking Wake",
+	"gougingfire": "Gouging Fire",
+	"ragingbolt": "Raging Bolt",
+	"irontreads": "Iron Treads",
+	"ironbundle": "Iron Bundle",
+	"ironhands": "Iron Hands",
+	"ironjugulis": "Iron Jugulis",
+	"ironmoth": "Iron Moth",
+	"ironthorns": "Iron Thorns",
+	"ironvaliant": "Iron Valiant",
+	"ironleaves": "Iron Leaves",
+	"ironboulder": "Iron Boulder",
+	"ironcrown": "Iron Crown",
+
+	// moves
+	"uturn": "U-turn",
+	"vcreate": "V-create",
+	"trickortreat": "Trick-or-Treat",
+	"willowisp": "Will-O-Wisp",
+	"lockon": "Lock-On",
+	"xscissor": "X-Scissor"
+};
+currentNames = DisplayNames;
+
+/**
+ * Other names for the column headers of each data type, keyed by id, such as "Peso (kg)" for "weightkg".
+ * Each names a header of `DataTypes[type].properties`, or a path to a nested one, such as "baseStats.spe".
+ * More can be added with `loadHeaderSynonyms`.
+ */
+
+HeaderSynonyms = {
+	pokedex: {
+		// English
+		"name": "species",
+		"pokemon": "species",
+		"number": "num",
+		"dexnumber": "num",
+		"dexno": "num",
+		"type": "types",
+		"stats": "basestats",
+		"bst": "basestats",
+		"bstspread": "basestats",
+		"statspread": "basestats",
+		"hitpoints": "hp",
+		"attack": "atk",
+		"defense": "def",
+		"spatk": "spa",
+		"specialattack": "spa",
+		"spdef": "spd",
+		"specialdefense": "spd",
+		"speed": "spe",
+		"ability": "abilities",
+		"hiddenability": "abilityh",
+		"height": "heightm",
+		"weight": "weightkg",
+		"colour": "color",
+		"eggs": "egggroups",
+		"evolutions": "evos",
+		"preevolution": "prevo",
+		"formes": "otherformes",
+		"forms": "otherformes",
+		// Spanish
+		"nombre": "species",
+		"especie": "species",
+		"numero": "num",
+		"tipo": "types",
+		"tipos": "types",
+		"tipo1": "type1",
+		"tipo2": "type2",
+		"estadisticas": "basestats",
+		"estadisticasbase": "basestats",
+		"ps": "hp",
+		"ataque": "atk",
+		"defensa": "def",
+		"ataqueespecial": "spa",
+		"defensaespecial": "spd",
+		"velocidad": "spe",
+		"habilidad": "abilities",
+		"habilidades": "abilities",
+		"habilidad1": "ability0",
+		"habilidad2": "ability1",
+		"habilidadoculta": "abilityh",
+		"altura": "heightm",
+		"alturam": "heightm",
+		"peso": "weightkg",
+		"pesokg": "weightkg",
+		"genero": "gender",
+		"gruposhuevo": "egggroups",
+		"gruposhuevos": "egggroups",
+		"gruposdehuevo": "egggroups",
+		"evoluciones": "evos",
+		"preevolucion": "prevo",
+		"formas": "otherformes",
+		// Portuguese
+		"nome": "species",
+		"estatisticas": "basestats",
+		"estatisticasbase": "basestats",
+		"defesa": "def",
+		"defesaespecial": "spd",
+		"velocidade": "spe",
+		"habilidade": "abilities",
+		"habilidade1": "ability0",
+		"habilidade2": "ability1",
+		"habilidadeoculta": "abilityh",
+		"cor": "color",
+		"gruposdeovos": "egggroups",
+		"evolucoes": "evos",
+		"preevolucao": "prevo",
+		// French
+		"nom": "species",
+		"espece": "species",
+		"statistiques": "basestats",
+		"statistiquesdebase": "basestats",
+		"pv": "hp",
+		"attaque": "atk",
+		"attaquespeciale": "spa",
+		"attspe": "spa",
+		"defensespeciale": "spd",
+		"defspe": "spd",
+		"vitesse": "spe",
+		"talent": "abilities",
+		"talents": "abilities",
+		"talent1": "ability0",
+		"talent2": "ability1",
+		"talentcache": "abilityh",
+		"taille": "heightm",
+		"taillem": "heightm",
+		"poids": "weightkg",
+		"poidskg": "weightkg",
+		"sexe": "gender",
+		"couleur": "color",
+		"groupesoeuf": "egggroups",
+		"groupesoeufs": "egggroups"
+	},
+	learnsets: {
+		"pokemon": "species",
+		"learnmethod": "method",
+		"generation": "gen",
+		// Spanish
+		"especie": "species",
+		"movimiento": "move",
+		"metodo": "method",
+		"nivel": "level",
+		"evento": "event",
+		"generacion": "gen",
+		// Portuguese
+		"movimento": "move",
+		"golpe": "move",
+		"geracao": "gen",
+		// French
+		"espece": "species",
+		"capacite": "move",
+		"attaque": "move",
+		"methode": "method",
+		"niveau": "level",
+		"evenement": "event"
+	},
+	movedex: {
+		"move": "name",
+		"power": "basepower",
+		"bp": "basepower",
+		"acc": "accuracy",
+		"secondary": "secondarychance",
+		// Spanish
+		"nombre": "name",
+		"movimiento": "name",
+		"potencia": "basepower",
+		"precision": "accuracy",
+		"tipo": "type",
+		"categoria": "category",
+		"prioridad": "priority",
+		"objetivo": "target",
+		// Portuguese
+		"nome": "name",
+		"movimento": "name",
+		"poder": "basepower",
+		"precisao": "accuracy",
+		"prioridade": "priority",
+		"alvo": "target",
+		// French
+		"nom": "name",
+		"capacite": "name",
+		"puissance": "basepower",
+		"categorie": "category",
+		"priorite": "priority",
+		"cible": "target"
+	},
+	abilities: {
+		"ability": "name",
+		"description": "desc",
+		// Spanish
+		"nombre": "name",
+		"habilidad": "name",
+		"descripcion": "desc",
+		// Portuguese
+		"nome": "name",
+		"habilidade": "name",
+		"descricao": "desc",
+		// French
+		"nom": "name",
+		"talent": "name"
+	},
+	items: {
+		"item": "name",
+		"description": "desc",
+		// Spanish
+		"nombre": "name",
+		"objeto": "name",
+		"descripcion": "desc",
+		// Portuguese
+		"nome": "name",
+		"descricao": "desc",
+		// French
+		"nom": "name",
+		"objet": "name"
+	},
+	formatsdata: {
+		"pokemon": "species",
+		"doubles": "doublestier",
+		"randommoves": "randombattlemoves",
+		// Spanish
+		"especie": "species",
+		"nombre": "species",
+		// Portuguese
+		"nome": "species",
+		// French
+		"espece": "species",
+		"nom": "species"
 	}
-	return true;
-});
-inputFileName = argv[0] || 'pokedex.csv';
-outputFileName = argv[1] || 'pokedex.js.out';
-
-try {
-	contents = '' + fs.readFileSync(inputFileName);
-} catch (err) {
-	console.log("" + colorRed + "Error  " + colorCyan + "File " + colorMagenta + "'" + inputFileName + colorCyan + "' was not found or could not be read." + colorEnd);
-	process.exit(-1);
-}
-
-lines = contents.split(/[\r\n]/).filter(function (line) {return line}).map(CSVtoArray);
-lines.shift().map(toId).forEach(function (value, index) {
-	if (!validProperties.hasOwnProperty(value)) {
-		console.log(
-			"" + colorRed + "Warn   " + colorCyan + "'" + colorMagenta + value + colorCyan + "'" + " header is invalid.\n" +
-			"Use one of the following:\n" + colorMagenta + Object.keys(validProperties).join(colorCyan + ", " + colorMagenta) + colorCyan + "." + colorEnd
-		);
-		return;
+};
+
+function readCSV (csvText, options, result) {
+	var rows = [];
+	var fileName = options.fileName || 'input';
+	var parser = createCSVParser({delimiter: options.delimiter}, function (row) {
+		rows.push(row);
+	}, function (problem) {
+		problem.message = "File '" + fileName + "' does not contain valid CSV data: " + problem.message;
+		result.errors.push(problem);
+	});
+	parser.write('' + csvText);
+	parser.end();
+	if (!rows.length && !result.errors.length) result.errors.push({message: "File '" + fileName + "' is empty."});
+	return rows;
+}
+
+/**
+ * Spreadsheet input
+ *
+ * .xlsx (Excel) and .ods (LibreOffice, Google Sheets) files are zip archives of XML files.
+ * They are read here with zlib and a few regular expressions, so that no other modules are needed.
+ * Each sheet is returned as a list of rows {line, text, values}, like the ones from the CSV parser,
+ * where `line` is the row number in the sheet.
+ */
+
+function readZip (buffer, fileName, result) {
+	var files = Object.create(null);
+	var end = -1;
+	for (var i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+		if (buffer.readUInt32LE(i) === 0x06054b50) {
+			end = i;
+			break;
+		}
 	}
-	if (value in indexMap) {
-		console.log("" + colorRed + "Error  " + colorCyan + "More than one column has the header '" + colorMagenta + value + colorCyan + "'." + colorEnd);
-		process.exit(1);
+	if (end < 0) {
+		result.errors.push({message: "File '" + fileName + "' is not a valid spreadsheet."});
+		return null;
+	}
+	var count = buffer.readUInt16LE(end + 10);
+	var offset = buffer.readUInt32LE(end + 16);
+	for (i = 0; i < count; i++) {
+		if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+			result.errors.push({message: "File '" + fileName + "' is not a valid spreadsheet."});
+			return null;
+		}
+		var method = buffer.readUInt16LE(offset + 10);
+		var compressedSize = buffer.readUInt32LE(offset + 20);
+		var nameLength = buffer.readUInt16LE(offset + 28);
+		var localOffset = buffer.readUInt32LE(offset + 42);
+		var name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+		var dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+		files[name] = {method: method, data: buffer.slice(dataOffset, dataOffset + compressedSize)};
+		offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+	}
+	return {
+		names: Object.keys(files),
+		read: function (name) {
+			var file = files[name];
+			if (!file) return null;
+			if (file.method === 0) return file.data.toString('utf8');
+			if (file.method === 8) return zlib.inflateRawSync(file.data).toString('utf8');
+			throw new Error("Compression method " + file.method + " is not supported.");
+		}
+	};
+}
+
+function decodeXML (text) {
+	return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, function (match, hex, dec, name) {
+		if (hex) return String.fromCharCode(parseInt(hex, 16));
+		if (dec) return String.fromCharCode(parseInt(dec, 10));
+		return {lt: '<', gt: '>', amp: '&', quot: '"', apos: "'"}[name] || match;
+	});
+}
+
+function getAttribute (attributes, name) {
+	var match = new RegExp('(?:^|\\s)' + name + '="([^"]*)"').exec(attributes);
+	return match ? decodeXML(match[1]) : null;
+}
+
+function toRow (line, values) {
+	while (values.length && !values[values.length - 1]) values.pop();
+	return {line: line, text: values.map(toCSVField).join(','), values: values};
+}
+
+function readXLSX (zip) {
+	var workbook = zip.read('xl/workbook.xml') || '';
+	var relations = zip.read('xl/_rels/workbook.xml.rels') || '';
+	var sharedStrings = (zip.read('xl/sharedStrings.xml') || '').match(/<si\b[\s\S]*?<\/si>/g) || [];
+	sharedStrings = sharedStrings.map(function (item) {
+		// phonetic runs (<rPh>) are not part of the text
+		return (item.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || []).map(function (text) {
+			return decodeXML(text.replace(/<[^>]*>/g, ''));
+		}).join('');
+	});
+	var targets = Object.create(null);
+	relations.replace(/<Relationship\b([^>]*)>/g, function (match, attributes) {
+		targets[getAttribute(attributes, 'Id')] = getAttribute(attributes, 'Target');
+		return '';
+	});
+
+	var sheets = [];
+	workbook.replace(/<sheet\b([^>]*)>/g, function (match, attributes) {
+		var target = targets[getAttribute(attributes, 'r:id')] || '';
+		var path = target.charAt(0) === '/' ? target.slice(1) : 'xl/' + target;
+		sheets.push({name: getAttribute(attributes, 'name'), path: path});
+		return '';
+	});
+	return sheets.map(function (sheet) {
+		var rows = [];
+		var xml = zip.read(sheet.path) || '';
+		var rowIndex = 0;
+		xml.replace(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g, function (match, rowAttributes, cells) {
+			rowIndex = parseInt(getAttribute(rowAttributes, 'r'), 10) || rowIndex + 1;
+			var values = [];
+			(cells || '').replace(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g, function (match, attributes, content) {
+				var reference = /^([A-Z]+)/.exec(getAttribute(attributes, 'r') || '');
+				var column = values.length;
+				if (reference) {
+					column = 0;
+					for (var i = 0; i < reference[1].length; i++) column = column * 26 + reference[1].charCodeAt(i) - 64;
+					column--;
+				}
+				var type = getAttribute(attributes, 't');
+				var value = /<v\b[^>]*>([\s\S]*?)<\/v>/.exec(content || '');
+				value = value ? decodeXML(value[1]) : '';
+				if (type === 's') value = sharedStrings[parseInt(value, 10)] || '';
+				if (type === 'inlineStr') value = decodeXML((content.match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || []).join('').replace(/<[^>]*>/g, ''));
+				if (type === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+				while (values.length < column) values.push('');
+				values[column] = value;
+				return '';
+			});
+			if (values.some(function (value) {return value})) rows.push(toRow(rowIndex, values));
+			return '';
+		});
+		return {name: sheet.name, rows: rows};
+	});
+}
+
+function readODSText (content) {
+	return (content.match(/<text:p\b[^>]*?(?:\/>|>[\s\S]*?<\/text:p>)/g) || []).map(function (paragraph) {
+		paragraph = paragraph.replace(/<text:s\b([^>]*)\/>/g, function (match, attributes) {
+			return new Array((parseInt(getAttribute(attributes, 'text:c'), 10) || 1) + 1).join(' ');
+		});
+		paragraph = paragraph.replace(/<text:tab\b[^>]*\/>/g, '\t').replace(/<text:line-break\b[^>]*\/>/g, '\n');
+		return decodeXML(paragraph.replace(/<[^>]*>/g, ''));
+	}).join('\n');
+}
+
+function readODS (zip) {
+	var content = zip.read('content.xml') || '';
+	var sheets = [];
+	content.replace(/<table:table\b([^>]*)>([\s\S]*?)<\/table:table>/g, function (match, attributes, table) {
+		var rows = [];
+		var rowIndex = 0;
+		table.replace(/<table:table-row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:table-row>)/g, function (match, rowAttributes, cells) {
+			var repeat = parseInt(getAttribute(rowAttributes, 'table:number-rows-repeated'), 10) || 1;
+			var values = [];
+			var pendingEmpty = 0; // empty cells are only added once a filled one follows
+			(cells || '').replace(/<table:(?:covered-)?table-cell\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:(?:covered-)?table-cell>)/g, function (match, attributes, content) {
+				var cellRepeat = parseInt(getAttribute(attributes, 'table:number-columns-repeated'), 10) || 1;
+				var type = getAttribute(attributes, 'office:value-type');
+				var value = readODSText(content || '');
+				if (type in {'float': 1, 'percentage': 1, 'currency': 1}) value = getAttribute(attributes, 'office:value') || value;
+				if (type === 'boolean') value = getAttribute(attributes, 'office:boolean-value') === 'true' ? 'TRUE' : 'FALSE';
+				if (!value) {
+					pendingEmpty += cellRepeat;
+					return '';
+				}
+				for (; pendingEmpty > 0; pendingEmpty--) values.push('');
+				for (var i = 0; i < cellRepeat; i++) values.push(value);
+				return '';
+			});
+			if (values.length) {
+				for (var i = 0; i < repeat; i++) rows.push(toRow(rowIndex + i + 1, values.slice()));
+			}
+			rowIndex += repeat;
+			return '';
+		});
+		sheets.push({name: getAttribute(attributes, 'table:name'), rows: rows});
+		return '';
+	});
+	return sheets;
+}
+
+/**
+ * Reads the sheets of an .xlsx or .ods file, as a list of {name, rows}.
+ * Problems are added to `result.errors`, and `null` is returned.
+ */
+
+function readWorkbook (buffer, fileName, result) {
+	var zip = readZip(buffer, fileName, result);
+	if (!zip) return null;
+	try {
+		if (zip.names.indexOf('xl/workbook.xml') >= 0) return readXLSX(zip);
+		if (zip.names.indexOf('content.xml') >= 0) return readODS(zip);
+	} catch (err) {
+		result.errors.push({message: "File '" + fileName + "' could not be read: " + err.message});
+		return null;
+	}
+	result.errors.push({message: "File '" + fileName + "' is neither an .xlsx nor an .ods spreadsheet."});
+	return null;
+}
+
+function readSheetRows (input, options, type, result) {
+	var fileName = options.fileName || 'input';
+	var sheets = readWorkbook(input, fileName, result);
+	if (!sheets) return [];
+	var sheet = null;
+	if (options.sheet) {
+		sheet = sheets.filter(function (sheet) {return toId(sheet.name) === toId(options.sheet)})[0];
+		if (!sheet && /^\d+$/.test(options.sheet)) sheet = sheets[parseInt(options.sheet, 10) - 1];
+		if (!sheet) {
+			result.errors.push({message: "Sheet '" + options.sheet + "' not found in file: '" + fileName + "'. Its sheets are: " + sheets.map(function (sheet) {return sheet.name}).join(", ") + "."});
+			return [];
+		}
+	} else {
+		var names = [type, DataTypes[type].input.replace(/\.csv$/, '')].map(toId);
+		sheet = sheets.filter(function (sheet) {return names.indexOf(toId(sheet.name)) >= 0})[0] || sheets[0];
+	}
+	if (!sheet || !sheet.rows.length) {
+		result.errors.push({message: "Sheet '" + (sheet ? sheet.name : "") + "' in file '" + fileName + "' is empty."});
+		return [];
+	}
+	return sheet.rows;
+}
+
+/**
+ * JSON and YAML input
+ *
+ * Data can also be written as a list of records, or as an object of records keyed by species
+ * (or by name), with the same keys as the CSV headers. Structured values, such as
+ * `baseStats: {hp: 80, ...}` or `types: [Fire, Flying]`, are written back in the format of
+ * the CSV cells, so that records go through the same validators as CSV rows.
+ *
+ * Only the commonly used subset of YAML is supported: block mappings and sequences,
+ * flow collections ([a, b] and {a: 1}), quoted and plain scalars, block scalars (| and >)
+ * and comments. Anchors, tags and multiple documents are not.
+ */
+
+function parseYAMLScalar (text, line) {
+	text = text.trim();
+	if (text.charAt(0) === '"') {
+		try {
+			return JSON.parse(text);
+		} catch (err) {
+			throw new Error("Invalid double-quoted string on line " + line + ".");
+		}
+	}
+	if (text.charAt(0) === "'") {
+		if (text.charAt(text.length - 1) !== "'") throw new Error("Invalid single-quoted string on line " + line + ".");
+		return text.slice(1, -1).replace(/''/g, "'");
+	}
+	if (/^(?:~|null|Null|NULL)?$/.test(text)) return null;
+	if (/^(?:true|True|TRUE)$/.test(text)) return true;
+	if (/^(?:false|False|FALSE)$/.test(text)) return false;
+	if (/^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/.test(text)) return Number(text);
+	return text;
+}
+
+function parseYAMLFlow (text, line) {
+	var pos = 0;
+	var skipSpaces = function () {
+		while (pos < text.length && /\s/.test(text.charAt(pos))) pos++;
+	};
+	var parseScalar = function (terminators) {
+		var start = pos;
+		var quote = text.charAt(pos);
+		if (quote === '"' || quote === "'") {
+			pos++;
+			while (pos < text.length) {
+				if (quote === '"' && text.charAt(pos) === '\\') pos++;
+				else if (text.charAt(pos) === quote) {
+					if (quote === "'" && text.charAt(pos + 1) === "'") pos++;
+					else break;
+				}
+				pos++;
+			}
+			pos++;
+			return parseYAMLScalar(text.slice(start, pos), line);
+		}
+		while (pos < text.length && terminators.indexOf(text.charAt(pos)) < 0) pos++;
+		return parseYAMLScalar(text.slice(start, pos), line);
+	};
+	var parseValue = function () {
+		skipSpaces();
+		var c = text.charAt(pos);
+		if (c === '[') {
+			var list = [];
+			pos++;
+			skipSpaces();
+			if (text.charAt(pos) === ']') {
+				pos++;
+				return list;
+			}
+			while (pos < text.length) {
+				list.push(parseValue());
+				skipSpaces();
+				c = text.charAt(pos++);
+				if (c === ']') return list;
+				if (c !== ',') break;
+			}
+			throw new Error("Invalid flow sequence on line " + line + ".");
+		}
+		if (c === '{') {
+			var object = {};
+			pos++;
+			skipSpaces();
+			if (text.charAt(pos) === '}') {
+				pos++;
+				return object;
+			}
+			while (pos < text.length) {
+				skipSpaces();
+				var key = parseScalar(':,}');
+				skipSpaces();
+				if (text.charAt(pos++) !== ':') break;
+				object[key] = parseValue();
+				skipSpaces();
+				c = text.charAt(pos++);
+				if (c === '}') return object;
+				if (c !== ',') break;
+			}
+			throw new Error("Invalid flow mapping on line " + line + ".");
+		}
+		return parseScalar(',]}');
+	};
+	var value = parseValue();
+	skipSpaces();
+	if (pos < text.length) throw new Error("Unexpected '" + text.slice(pos) + "' on line " + line + ".");
+	return value;
+}
+
+function stripYAMLComment (text) {
+	// comments start with a '#' after a space, that is not inside a quoted scalar
+	var quote = '';
+	for (var i = 0; i < text.length; i++) {
+		var c = text.charAt(i);
+		if (quote) {
+			if (c === '\\' && quote === '"') i++;
+			else if (c === quote) quote = '';
+		} else if ((c === '"' || c === "'") && (i === 0 || /[\s:\[{,\-]/.test(text.charAt(i - 1)))) {
+			quote = c;
+		} else if (c === '#' && (i === 0 || /\s/.test(text.charAt(i - 1)))) {
+			return text.slice(0, i);
+		}
+	}
+	return text;
+}
+
+/**
+ * Parses a YAML document. If `positions` is given, the line number of each item
+ * of the top-level sequence or mapping is pushed to it, in order.
+ */
+
+function parseYAML (text, positions) {
+	var lines = [];
+	('' + text).split(/\r\n|[\r\n]/).forEach(function (content, index) {
+		var stripped = stripYAMLComment(content);
+		if (!stripped.trim() || /^(?:---|\.\.\.)\s*$/.test(stripped)) {
+			lines.push({indent: -1, text: '', raw: content, line: index + 1});
+			return;
+		}
+		if (/^\t/.test(stripped)) throw new Error("Tabs can't be used for indentation (line " + (index + 1) + ").");
+		var indent = /^ */.exec(stripped)[0].length;
+		lines.push({indent: indent, text: stripped.slice(indent).replace(/\s+$/, ''), raw: content, line: index + 1});
+	});
+	var i = 0;
+	var skipBlank = function () {
+		while (i < lines.length && lines[i].indent < 0) i++;
+	};
+	var keyPattern = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"\[\]{}#&*!|>%@`,?:-][^:]*?|[-?:][^\s:][^:]*?)\s*:(?:\s+(.*))?$/;
+
+	var parseBlockScalar = function (indicator, parentIndent) {
+		var parts = [];
+		var blockIndent = -1;
+		while (i < lines.length) {
+			var raw = lines[i].raw;
+			var indent = /^ */.exec(raw)[0].length;
+			if (raw.trim()) {
+				if (blockIndent < 0) blockIndent = indent;
+				if (indent < blockIndent || indent <= parentIndent) break;
+			}
+			parts.push(raw.slice(blockIndent < 0 ? 0 : blockIndent));
+			i++;
+		}
+		while (parts.length && !parts[parts.length - 1].trim()) parts.pop();
+		if (indicator.charAt(0) === '>') return parts.join(' ').replace(/ ?\n ?/g, '\n') + (indicator === '>-' ? '' : '\n');
+		return parts.join('\n') + (indicator === '|-' ? '' : '\n');
+	};
+
+	var parseInline = function (value, indent, line) {
+		if (value === '|' || value === '|-' || value === '>' || value === '>-') return parseBlockScalar(value, indent);
+		if (value.charAt(0) === '[' || value.charAt(0) === '{') return parseYAMLFlow(value, line);
+		return parseYAMLScalar(value, line);
+	};
+
+	var parseNode = function (indent, positions) {
+		skipBlank();
+		if (i >= lines.length || lines[i].indent < indent) return null;
+		indent = lines[i].indent;
+		var isSequence = /^-(?:\s|$)/.test(lines[i].text);
+		var node = isSequence ? [] : {};
+		while (true) {
+			skipBlank();
+			if (i >= lines.length || lines[i].indent < indent) break;
+			var current = lines[i];
+			if (current.indent > indent) throw new Error("Unexpected indentation on line " + current.line + ".");
+			if (positions) positions.push(current.line);
+			if (isSequence) {
+				if (!/^-(?:\s|$)/.test(current.text)) throw new Error("Expected a sequence item on line " + current.line + ".");
+				var rest = current.text.slice(1).replace(/^\s+/, '');
+				if (!rest) {
+					i++;
+					node.push(parseNode(indent + 1));
+				} else if (keyPattern.test(rest)) {
+					// "- key: value" starts a mapping, indented as its first key
+					current.indent += current.text.length - rest.length;
+					current.text = rest;
+					node.push(parseNode(current.indent));
+				} else {
+					i++;
+					node.push(parseInline(rest, indent, current.line));
+				}
+				continue;
+			}
+			var match = keyPattern.exec(current.text);
+			if (!match) throw new Error("Expected 'key: value' on line " + current.line + ".");
+			var key = parseYAMLScalar(match[1], current.line);
+			i++;
+			if (match[2] !== undefined && match[2] !== '') {
+				node[key] = parseInline(match[2], indent, current.line);
+				continue;
+			}
+			skipBlank();
+			// a sequence may start at the same indentation as its key
+			if (i < lines.length && (lines[i].indent > indent || (lines[i].indent === indent && /^-(?:\s|$)/.test(lines[i].text)))) {
+				node[key] = parseNode(lines[i].indent);
+			} else {
+				node[key] = null;
+			}
+		}
+		return node;
+	};
+
+	skipBlank();
+	if (i >= lines.length) return null;
+	if (!keyPattern.test(lines[i].text) && !/^-(?:\s|$)/.test(lines[i].text)) {
+		var value = parseInline(lines[i].text, -1, lines[i].line);
+		i++;
+		skipBlank();
+		if (i < lines.length) throw new Error("Unexpected content on line " + lines[i].line + ".");
+		return value;
 	}
-	indexMap[value] = index;
-});
+	var document = parseNode(0, positions);
+	skipBlank();
+	if (i < lines.length) throw new Error("Unexpected indentation on line " + lines[i].line + ".");
+	return document;
+}
 
-speciesIndex = indexMap['species'];
+/**
+ * Finds the line number of each item of the top-level array or object of a JSON text.
+ * Items of an object start at their key.
+ */
+
+function getJSONPositions (text) {
+	var positions = [];
+	var depth = 0;
+	var line = 1;
+	var isItemStart = false;
+	for (var i = 0; i < text.length; i++) {
+		var c = text.charAt(i);
+		if (c === '\n') line++;
+		if (/\s/.test(c)) continue;
+		if (depth === 1 && isItemStart && c !== ']' && c !== '}') positions.push(line);
+		isItemStart = false;
+		if (c === '"') {
+			for (i++; i < text.length && text.charAt(i) !== '"'; i++) {
+				if (text.charAt(i) === '\\') i++;
+			}
+		} else if (c === '{' || c === '[') {
+			depth++;
+			if (depth === 1) isItemStart = true;
+		} else if (c === '}' || c === ']') {
+			depth--;
+		} else if (c === ',' && depth === 1) {
+			isItemStart = true;
+		}
+	}
+	return positions;
+}
 
-if (typeof speciesIndex === 'undefined') {
-	console.log("" + colorRed + "Error  " + colorCyan + "'" + colorMagenta + "Species" + colorCyan + "' header not found in file: '" + colorMagenta + inputFileName + colorCyan + "'." + colorEnd);
-	process.exit(1);
+function formatCell (property, value) {
+	if (value === null || value === undefined) return '';
+	if (typeof value !== 'object') return '' + value;
+	if (property && property.format) return property.format(value);
+	if (Array.isArray(value)) return value.map(function (item) {return formatCell(null, item)}).join('/');
+	// objects of flags, such as {contact: 1, protect: 1}
+	return Object.keys(value).filter(function (key) {return value[key]}).join('/');
 }
 
-for (var i = 0, len = lines.length; i < len; i++) {
-	line = lines[i];
-	Pokedex[toId(parseAlias(line[speciesIndex]))] = buildDexEntry(lines[i]);
+/**
+ * Returns the names of the nested columns of `parent` that `value` lacks, such as the other base stats
+ * of baseStats: {spe: 80}. Optional ones, such as a second type or a hidden ability, are left out.
+ */
+
+function getMissingKeys (properties, parent, value) {
+	var missing = [];
+	for (var key in properties) {
+		var property = properties[key];
+		if (property.parent && toId(property.parent) === toId(parent) && !property.isOptional && !(property.name in value)) {
+			missing.push(property.name);
+		}
+	}
+	return missing;
 }
 
-try {
-	fs.writeFileSync('./' + outputFileName , toShowdownStyle('exports.BattlePokedex = ' + JSON.stringify(Pokedex, null, '\t') + ';\r\n'));
-} catch (err) {
-	console.log("" + colorRed + "Error " + colorCyan + " It was not possible to write output to file: '" + colorMagenta + outputFileName + colorCyan + "'." + colorEnd);
-	process.exit(1);
+function findNestedKey (properties, parent, name) {
+	for (var key in properties) {
+		if (properties[key].parent && toId(properties[key].parent) === toId(parent) && toId(properties[key].name) === toId(name)) return key;
+	}
+	return '';
 }
 
-console.log("" + colorCyan + "File '" + colorMagenta + outputFileName + colorCyan + "' successfully written." + colorEnd);
+/**
+ * Reads the records of a JSON or YAML document as rows, with a header row made of their keys.
+ */
+
+function readRecords (text, format, options, type, result) {
+	var fileName = options.fileName || 'input';
+	var dataType = DataTypes[type];
+	var properties = dataType.properties;
+	var positions = [];
+	var document;
+	try {
+		if (format === 'json') {
+			document = JSON.parse(text);
+			positions = getJSONPositions(text);
+		} else {
+			document = parseYAML(text, positions);
+		}
+	} catch (err) {
+		result.errors.push({message: "File '" + fileName + "' does not contain valid " + format.toUpperCase() + ": " + err.message});
+		return [];
+	}
+
+	var records = [];
+	if (Array.isArray(document)) {
+		document.forEach(function (record, index) {
+			records.push({record: record, line: positions[index]});
+		});
+	} else if (document && typeof document === 'object') {
+		Object.keys(document).forEach(function (key, index) {
+			// records keyed by species (or name), which may also be lists of records, as in learnsets
+			[].concat(document[key]).forEach(function (record) {
+				if (record && typeof record === 'object' && !Array.isArray(record)) {
+					var copy = {};
+					copy[dataType.keyColumn] = key;
+					for (var name in record) {
+						if (toId(name) === dataType.keyColumn) delete copy[dataType.keyColumn];
+						copy[name] = record[name];
+					}
+					record = copy;
+				}
+				records.push({record: record, line: positions[index]});
+			});
+		});
+	} else {
+		result.errors.push({message: "File '" + fileName + "' must contain a list of records, or an object of records."});
+		return [];
+	}
+
+	var headers = [];
+	var rows = [];
+	records.forEach(function (item) {
+		var record = item.record;
+		if (!record || typeof record !== 'object' || Array.isArray(record)) {
+			result.errors.push({message: "Every record must be an object.", line: item.line, text: JSON.stringify(record)});
+			return;
+		}
+		var cells = Object.create(null);
+		var addCell = function (key, value) {
+			if (headers.indexOf(key) < 0) headers.push(key);
+			cells[key] = formatCell(properties[key], value);
+		};
+		Object.keys(record).forEach(function (name) {
+			var value = record[name];
+			if (value && typeof value === 'object' && !Array.isArray(value) && (!properties[toId(name)] || getMissingKeys(properties, name, value).length) &&
+					Object.keys(value).every(function (field) {return findNestedKey(properties, name, field)})) {
+				// nested fields, such as secondary: {chance: 10, status: brn}, or some of the base stats
+				Object.keys(value).forEach(function (field) {
+					addCell(findNestedKey(properties, name, field), value[field]);
+				});
+				return;
+			}
+			addCell(toId(name), value);
+		});
+		rows.push({line: item.line, text: JSON.stringify(record), cells: cells});
+	});
+
+	rows = rows.map(function (row) {
+		return {line: row.line, text: row.text, values: headers.map(function (key) {return row.cells[key] || ''})};
+	});
+	if (!rows.length && !result.errors.length) result.errors.push({message: "File '" + fileName + "' is empty."});
+	rows.unshift({line: 0, text: headers.join(','), values: headers});
+	return rows;
+}
+
+
+/**
+ * Reads the rows of the input, which can be the text of a CSV, JSON or YAML file,
+ * or the contents of any of them or of an .xlsx or .ods file, as a Buffer.
+ *
+ * JSON and YAML are told apart from CSV by the `inputFormat` option, or else by the extension
+ * of `fileName`, or else JSON by its first character.
+ *
+ * The sheet of a spreadsheet is chosen with the `sheet` option, either by name or by number
+ * (starting from 1). By default, the sheet named after the data type, such as "Pokedex" or
+ * "Learnsets", is used, and if there is none, the first one.
+ */
+
+// the characters of bytes 0x80 to 0x9F in Windows-1252, where Latin-1 has control characters
+var windows1252 = '\u20AC\x81\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\x8D\u017D\x8F' +
+	'\x90\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\x9D\u017E\u0178';
+
+/**
+ * Decodes the contents of a text file. Byte order marks are removed, and UTF-16 files
+ * (as saved by Excel as "Unicode Text") are detected, with or without one.
+ * Files that are not valid UTF-8 are read as Windows-1252, the encoding of Excel "CSV" exports, with a warning.
+ */
+
+function decodeText (buffer, fileName, result) {
+	if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return buffer.toString('utf8', 3);
+	if (buffer[0] === 0xFF && buffer[1] === 0xFE) return buffer.toString('utf16le', 2);
+	if (buffer[0] === 0xFE && buffer[1] === 0xFF) return Buffer.from(buffer.slice(2)).swap16().toString('utf16le');
+
+	// text in UTF-16 without a byte order mark has a zero byte in most of its ASCII characters
+	var zeros = [0, 0];
+	var length = Math.min(buffer.length, 512) & ~1;
+	for (var i = 0; i < length; i++) {
+		if (!buffer[i]) zeros[i % 2]++;
+	}
+	if (length && zeros[1] > length / 4 && !zeros[0]) return buffer.toString('utf16le', 0, buffer.length & ~1);
+	if (length && zeros[0] > length / 4 && !zeros[1]) return Buffer.from(buffer.slice(0, buffer.length & ~1)).swap16().toString('utf16le');
+
+	var text = buffer.toString('utf8');
+	if (text.indexOf('\uFFFD') < 0 || buffer.indexOf(Buffer.from('\uFFFD')) >= 0) return text;
+	result.warnings.push({message: "File '" + fileName + "' is not valid UTF-8, and was read as Windows-1252. Save it as UTF-8 to avoid this."});
+	return buffer.toString('latin1').replace(/[\x80-\x9F]/g, function (char) {
+		return windows1252.charAt(char.charCodeAt(0) - 0x80);
+	});
+}
+
+function readRows (input, options, type, result) {
+	var fileName = options.fileName || 'input';
+	if (Buffer.isBuffer(input)) {
+		if (input.length >= 4 && input.readUInt32BE(0) === 0xD0CF11E0) {
+			result.errors.push({message: "File '" + fileName + "' is an old .xls file, which is not supported. Save it as .xlsx or .ods instead."});
+			return [];
+		}
+		if (input.length >= 4 && input.readUInt32LE(0) === 0x04034b50) return readSheetRows(input, options, type, result);
+		input = decodeText(input, fileName, result);
+	}
+	input = ('' + input).replace(/^\uFEFF/, '');
+	var format = options.inputFormat || (/\.json$/i.test(fileName) ? 'json' : /\.ya?ml$/i.test(fileName) ? 'yaml' : '');
+	if (!format && /^\s*[\[{]/.test(input)) format = 'json';
+	if (format === 'json' || format === 'yaml') return readRecords(input, format, options, type, result);
+	return readCSV(input, options, result);
+}
+
+/**
+ * Returns the key in `properties` of a header, a synonym of one (see `HeaderSynonyms`),
+ * or a dotted path to a nested one, such as 'baseStats.spe'. Otherwise, returns its id.
+ */
+
+function findHeader (header, properties, synonyms) {
+	var id = toId(header);
+	if (properties.hasOwnProperty(id)) return id;
+	var path = ('' + header).trim().split('.');
+	if (path.length === 2 && findNestedKey(properties, path[0], path[1])) return findNestedKey(properties, path[0], path[1]);
+	if (synonyms && synonyms[id] && toId(synonyms[id]) !== id) return findHeader(synonyms[id], properties, null);
+	return id;
+}
+
+/**
+ * Returns the header synonyms for a data type: the built-in ones, and the ones in `options.headerSynonyms`
+ * that name one of its columns, which win over them.
+ */
+
+function getHeaderSynonyms (type, options) {
+	var properties = DataTypes[type].properties;
+	var synonyms = Object.create(null);
+	var id;
+	for (id in HeaderSynonyms[type]) synonyms[id] = HeaderSynonyms[type][id];
+	for (id in options.headerSynonyms) {
+		if (properties.hasOwnProperty(findHeader(options.headerSynonyms[id], properties, null))) synonyms[id] = options.headerSynonyms[id];
+	}
+	return synonyms;
+}
+
+function readHeaders (headers, properties, synonyms, result) {
+	var indexMap = Object.create(null);
+	headers.map(function (header) {
+		return findHeader(header, properties, synonyms);
+	}).forEach(function (value, index) {
+		if (!value) return; // columns without a header are ignored
+		if (!properties.hasOwnProperty(value)) {
+			var names = Object.create(null);
+			for (var key in properties) names[key] = key;
+			for (key in synonyms) {
+				if (properties.hasOwnProperty(findHeader(synonyms[key], properties, null))) names[key] = key;
+			}
+			var suggestions = getSuggestions(value, names);
+			result.warnings.push({
+				message: "'" + headers[index] + "' header is invalid, and its column was ignored." +
+					(suggestions.length ? " Did you mean '" + suggestions.join("', '") + "'?" : "")
+			});
+			return;
+		}
+		if (value in indexMap) {
+			result.errors.push({message: "More than one column has the header '" + value + "'."});
+			return;
+		}
+		indexMap[value] = index;
+	});
+	return indexMap;
+}
+
+/**
+ * Checks the entries of a generated Pokédex against each other, after all rows were read.
+ * Inherited entries are completed with their `basePokedex` entry, if there is one.
+ * References to species that are not in the Pokédex are only reported if the whole Pokédex
+ * is known, that is, for new entries or when `basePokedex` was given.
+ */
+
+function validatePokedex (pokedex, rowsById, options, result) {
+	var basePokedex = options.basePokedex || Object.create(null);
+	var isComplete = !!(options.isNewEntries || options.basePokedex);
+	var numbers = Object.create(null);
+
+	var getEntry = function (id) {
+		var baseEntry = Object.prototype.hasOwnProperty.call(basePokedex, id) ? basePokedex[id] : null;
+		if (!pokedex[id]) return baseEntry;
+		if (!baseEntry || !pokedex[id].inherit) return pokedex[id];
+		var entry = {};
+		for (var field in baseEntry) entry[field] = baseEntry[field];
+		for (field in pokedex[id]) entry[field] = pokedex[id][field];
+		return entry;
+	};
+	var report = function (list, id, message) {
+		var problem = {message: message, line: rowsById[id].line, text: rowsById[id].text};
+		if (rowsById[id].fileName) problem.file = rowsById[id].fileName;
+		list.push(problem);
+	};
+
+	Object.keys(basePokedex).forEach(function (id) {
+		if (pokedex[id] || typeof basePokedex[id].num !== 'number') return;
+		numbers[basePokedex[id].num] = {id: id, baseId: toId(basePokedex[id].baseSpecies) || id};
+	});
+
+	Object.keys(pokedex).forEach(function (id) {
+		var entry = getEntry(id);
+
+		if (entry.prevo && isComplete && !getEntry(toId(entry.prevo))) {
+			report(result.warnings, id, "'" + id + "' evolves from '" + entry.prevo + "', which is not in the Pokédex.");
+		}
+		if (entry.evos) {
+			entry.evos.forEach(function (evo) {
+				var evoEntry = getEntry(toId(evo));
+				if (!evoEntry) {
+					if (isComplete) report(result.warnings, id, "'" + id + "' evolves into '" + evo + "', which is not in the Pokédex.");
+				} else if (toId(evoEntry.prevo) !== id) {
+					report(result.errors, id, "'" + id + "' evolves into '" + evo + "', but its prevo is '" + (evoEntry.prevo || "") + "'.");
+				}
+			});
+		}
+		['evoLevel', 'evoType', 'evoMove', 'evoItem', 'evoCondition'].forEach(function (field) {
+			if (entry[field] && !entry.prevo) report(result.errors, id, "'" + id + "' has an " + field + ", but no prevo.");
+		});
+		if (entry.evoType === 'useItem' && !entry.evoItem) {
+			report(result.errors, id, "'" + id + "' evolves by using an item, but has no evoItem.");
+		}
+		if (entry.evoType === 'levelMove' && !entry.evoMove) {
+			report(result.errors, id, "'" + id + "' evolves by knowing a move, but has no evoMove.");
+		}
+		if (entry.requiredItem && entry.requiredItems) {
+			report(result.errors, id, "'" + id + "' has both a requiredItem and requiredItems.");
+		}
+
+		if (entry.genderRatio) {
+			if (Math.abs(entry.genderRatio.M + entry.genderRatio.F - 1) > 1e-6) {
+				report(result.errors, id, "The genderRatio of '" + id + "' does not add up to 1.");
+			}
+			if (entry.gender) {
+				report(result.errors, id, "'" + id + "' has both a gender and a genderRatio.");
+			}
+		}
+
+		if (entry.otherFormes) {
+			entry.otherFormes.forEach(function (forme) {
+				var formeEntry = getEntry(toId(forme));
+				if (!formeEntry) {
+					if (isComplete) report(result.warnings, id, "'" + forme + "' is a forme of '" + id + "', but is not in the Pokédex.");
+					return;
+				}
+				if (toId(formeEntry.baseSpecies) !== id) {
+					report(result.errors, id, "'" + forme + "' is a forme of '" + id + "', but its baseSpecies is '" + (formeEntry.baseSpecies || "") + "'.");
+				}
+			});
+		}
+		if (entry.baseSpecies) {
+			var baseSpeciesEntry = getEntry(toId(entry.baseSpecies));
+			if (!baseSpeciesEntry) {
+				if (isComplete) report(result.warnings, id, "The baseSpecies of '" + id + "', '" + entry.baseSpecies + "', is not in the Pokédex.");
+			} else if (!(baseSpeciesEntry.otherFormes || []).map(toId).some(function (forme) {return forme === id})) {
+				report(result.errors, id, "The baseSpecies of '" + id + "' is '" + entry.baseSpecies + "', but it is not one of its otherFormes.");
+			}
+		}
+
+		if (typeof entry.num === 'number') {
+			var baseId = toId(entry.baseSpecies) || id;
+			var other = numbers[entry.num];
+			if (other && other.baseId !== baseId) {
+				report(result.errors, id, "'" + id + "' has the same num, " + entry.num + ", as '" + other.id + "'" + (rowsById[other.id] ? " (L" + rowsById[other.id].line + ")" : "") + ".");
+			} else if (!other) {
+				numbers[entry.num] = {id: id, baseId: baseId};
+			}
+		}
+	});
+}
+
+/**
+ * Adds the fields of `entry` to `target`, the entry of an earlier row with the same key.
+ * Plain objects, such as `baseStats`, are merged too, so each row can fill some of their keys.
+ * Only fields set to different values in both rows are reported, as errors.
+ */
+
+function mergeEntries (target, entry, id, firstRow, row, result) {
+	if (!!target.inherit !== !!entry.inherit) {
+		result.errors.push({message: "'" + id + "' is " + (entry.inherit ? "inherited" : "new") + " here, but " + (target.inherit ? "inherited" : "new") + " in L" + firstRow.line + ".", line: row.line, text: row.text});
+		return;
+	}
+	var isObject = function (value) {return value && typeof value === 'object' && !Array.isArray(value)};
+	// arrays set by separate columns, such as 'type1' and 'type2', are merged by index
+	var isPartialArray = function (field, path) {
+		return !path && Array.isArray(target[field]) && Array.isArray(entry[field]) &&
+			(firstRow.partialFields || []).concat(row.partialFields || []).indexOf(field) >= 0;
+	};
+	var merge = function (target, source, path) {
+		for (var field in source) {
+			if (!(field in target)) {
+				target[field] = source[field];
+			} else if (isObject(target[field]) && isObject(source[field]) || isPartialArray(field, path)) {
+				merge(target[field], source[field], path + field + '.');
+			} else if (!isEqual(target[field], source[field])) {
+				result.errors.push({
+					message: "Field '" + path + field + "' of '" + id + "' is '" + formatValue(source[field]) + "' here, but '" + formatValue(target[field]) + "' in L" + firstRow.line + ".",
+					line: row.line,
+					text: row.text
+				});
+			}
+		}
+	};
+	merge(target, entry, '');
+}
+
+function useAliases (options, generate) {
+	var previousAliases = currentAliases;
+	var previousNames = currentNames;
+	currentAliases = options && options.aliases || Aliases;
+	if (options && (options.speciesList || options.basePokedex)) {
+		currentNames = Object.create(null);
+		var reference = getReferenceSpecies(options.speciesList, options.basePokedex);
+		for (var id in DisplayNames) currentNames[id] = DisplayNames[id];
+		for (id in reference) currentNames[id] = reference[id];
+	}
+	try {
+		return generate();
+	} finally {
+		currentAliases = previousAliases;
+		currentNames = previousNames;
+	}
+}
+
+function generateData (csvText, options, type) {
+	return useAliases(options, function () {return buildData(csvText, options || {}, type)});
+}
+
+function buildData (csvText, options, type) {
+	var result = {warnings: [], errors: []};
+	var data = result[type] = Object.create(null);
+	var rowsById = Object.create(null);
+
+	if (!readEntries(csvText, options, type, data, rowsById, result)) return result;
+	if (type === 'pokedex') {
+		var partialFields = Object.create(null);
+		for (var id in rowsById) partialFields[id] = rowsById[id].partialFields;
+		finishDexEntries(data, rowsById, partialFields, options, result);
+	}
+	if (DataTypes[type].validate) DataTypes[type].validate(data, rowsById, options, result);
+
+	return result;
+}
+
+/**
+ * Reads the rows of an input file into `data`, and the row of each entry into `rowsById`.
+ * Returns false if the file could not be read at all.
+ */
+
+function readEntries (csvText, options, type, data, rowsById, result) {
+	var dataType = DataTypes[type];
+	var fileName = options.fileName || 'input';
+	// `result` can already hold the problems of other files (see `buildLayers`)
+	var errorCount = result.errors.length;
+
+	var rows = readRows(csvText, options, type, result);
+	if (result.errors.length > errorCount) return false;
+
+	var indexMap = readHeaders(rows.shift().values, dataType.properties, getHeaderSynonyms(type, options), result);
+	if (result.errors.length > errorCount) return false;
+
+	var keyIndex = indexMap[dataType.keyColumn];
+	if (typeof keyIndex === 'undefined') {
+		result.errors.push({message: "'" + toName(dataType.keyColumn) + "' header not found in file: '" + fileName + "'."});
+		return false;
+	}
+
+	var reference = null;
+	if (dataType.keyColumn === 'species' && (options.speciesList || options.basePokedex)) {
+		reference = getReferenceSpecies(options.speciesList, options.basePokedex);
+	}
+	// only inherited Pokédex entries are checked in strict mode, so only they need a reference
+	var isMissingReference = type === 'pokedex' && !reference && options.isStrict;
+
+	var firstRows = Object.create(null);
+	for (var i = 0, len = rows.length; i < len; i++) {
+		var id = dataType.toKey(rows[i].values[keyIndex]);
+		if (!id) {
+			result.errors.push({
+				message: rows[i].values[keyIndex] ? "'" + rows[i].values[keyIndex] + "' is not a valid " + dataType.keyColumn + "." : "Row has no " + dataType.keyColumn + ".",
+				line: rows[i].line,
+				text: rows[i].text
+			});
+			continue;
+		}
+		var firstRow = firstRows[id];
+		if (firstRow && !options.isMergingRows) {
+			result.errors.push({
+				message: "'" + rows[i].values[keyIndex] + "' is a duplicate of '" + firstRow.values[keyIndex] + "' (L" + firstRow.line + "): both are '" + id + "'.",
+				line: rows[i].line,
+				text: rows[i].text
+			});
+			continue;
+		}
+		var entry = dataType.buildEntry(rows[i], indexMap, options, result);
+		if (isMissingReference && entry && entry.inherit) {
+			result.errors.push({message: "Strict mode needs a reference species list, such as a base Pokédex, for inherited entries."});
+			isMissingReference = false;
+		}
+		if (!firstRow && reference) checkSpecies(rows[i], rows[i].values[keyIndex], id, reference, !!entry && !entry.inherit, options, result);
+		if (!firstRow) firstRows[id] = rows[i];
+		if (!entry) continue;
+		if (reference && entry.species && id in reference) entry.species = reference[id];
+		if (data[id]) {
+			if (firstRow.partialFields) updatePartialFields(firstRow.partialFields, data[id], entry, rows[i].partialFields);
+			mergeEntries(data[id], entry, id, firstRow, rows[i], result);
+			continue;
+		}
+		data[id] = entry;
+		rowsById[id] = rows[i];
+	}
+	return true;
+}
+
+/**
+ * Converts several input files, such as a main sheet and patch sheets, into one data object.
+ * `inputs` is a list of {contents, fileName}, read as in `generateData`. Their entries are merged
+ * field by field, and later files win. Plain objects, such as `baseStats`, are merged by key
+ * if a later file only sets some of their keys. Entries keep the inherit or new status of the
+ * first file that has them.
+ *
+ * Options are the same as in `generatePokedex`. With `basePokedex`, entries are compared with it
+ * once all files are merged. Learnsets are not supported.
+ *
+ * Returns an object {<type>, provenance, warnings, errors}, where `provenance` has, for each entry,
+ * the {file, line} that set each field, keyed by field (or by path, as in 'baseStats.spe').
+ * Problems found in a file have a `file` with its name.
+ */
+
+function generateLayered (inputs, options, type) {
+	return useAliases(options, function () {return buildLayers(inputs, options || {}, type || 'pokedex')});
+}
+
+function buildLayers (inputs, options, type) {
+	var dataType = DataTypes[type];
+	var result = {warnings: [], errors: [], provenance: Object.create(null)};
+	var data = result[type] = Object.create(null);
+	var rowsById = Object.create(null);
+	var partialFields = Object.create(null);
+	if (!dataType.buildEntry) {
+		result.errors.push({message: "Several input files are not supported for " + type + "."});
+		return result;
+	}
+
+	var layerOptions = Object.create(null);
+	for (var key in options) layerOptions[key] = options[key];
+
+	inputs.forEach(function (input) {
+		var layer = Object.create(null);
+		var layerRows = Object.create(null);
+		var warningCount = result.warnings.length;
+		var errorCount = result.errors.length;
+		layerOptions.fileName = input.fileName;
+		readEntries(input.contents, layerOptions, type, layer, layerRows, result);
+		result.warnings.slice(warningCount).concat(result.errors.slice(errorCount)).forEach(function (problem) {
+			problem.file = input.fileName;
+		});
+
+		for (var id in layer) {
+			var row = layerRows[id];
+			row.fileName = input.fileName;
+			if (!data[id]) {
+				data[id] = Object.create(null);
+				if (layer[id].inherit) data[id].inherit = true;
+				rowsById[id] = row;
+				result.provenance[id] = Object.create(null);
+				partialFields[id] = [];
+			}
+			// a field stays partial until a layer sets it whole
+			updatePartialFields(partialFields[id], data[id], layer[id], row.partialFields || []);
+			layerEntry(data[id], layer[id], '', {file: input.fileName, line: row.line}, result.provenance[id], row.partialFields);
+		}
+	});
+
+	if (type === 'pokedex') finishDexEntries(data, rowsById, partialFields, options, result);
+	if (dataType.validate) dataType.validate(data, rowsById, options, result);
+	return result;
+}
+
+// partial arrays, such as the types of a row with only a 'type2' column, are named by `partialFields`
+function layerEntry (target, source, path, origin, provenance, partialFields) {
+	var isObject = function (value) {return value && typeof value === 'object' && !Array.isArray(value)};
+	for (var field in source) {
+		if (field === 'inherit') continue;
+		var value = source[field];
+		var isPartial = isObject(value) && isObject(target[field]) && Object.keys(target[field]).some(function (key) {
+			return !(key in value);
+		}) || Array.isArray(value) && Array.isArray(target[field]) && (partialFields || []).indexOf(field) >= 0;
+		if (isPartial) {
+			layerEntry(target[field], value, path + field + '.', origin, provenance);
+			continue;
+		}
+		target[field] = value;
+		for (var key in provenance) {
+			if (key.indexOf(path + field + '.') === 0) delete provenance[key];
+		}
+		provenance[path + field] = origin;
+	}
+}
+
+/**
+ * Describes the provenance of each field of a `generateLayered` result, as in
+ * 'patch.csv L3' or 'base.csv L2, spe: patch.csv L5'. Returns them keyed by entry and field,
+ * as the `comments` option of `serialize` takes them.
+ */
+
+function describeProvenance (provenance) {
+	var comments = Object.create(null);
+	Object.keys(provenance).forEach(function (id) {
+		var parts = Object.create(null);
+		Object.keys(provenance[id]).forEach(function (path) {
+			var field = path.split('.')[0];
+			var text = provenance[id][path].file + " L" + provenance[id][path].line;
+			if (!parts[field]) parts[field] = [];
+			if (path === field) {
+				parts[field].unshift(text);
+			} else {
+				parts[field].push(path.slice(field.length + 1) + ": " + text);
+			}
+		});
+		comments[id] = Object.create(null);
+		for (var field in parts) comments[id][field] = parts[field].join(", ");
+	});
+	return comments;
+}
+
+/**
+ * Converts the contents of a CSV file into a Pokédex object.
+ * The contents of .xlsx and .ods files are also accepted, as a Buffer (see `readRows`).
+ *
+ * Options:
+ * 	isNewEntries: if true, entries do not inherit from the parent mod, and keep their `species`.
+ * 		An "inherit" or "new" column overrides it for its row.
+ * 	fileName: name of the input file, only used in messages.
+ * 	delimiter: the CSV delimiter. By default, it is detected from the header.
+ * 	sheet: the name or number of the spreadsheet sheet to read.
+ * 	inputFormat: 'csv', 'json' or 'yaml'. By default, it is told by the extension of `fileName`.
+ * 	basePokedex: the Pokédex of the parent mod. Inherited entries only keep the fields that differ
+ * 		from it, and entries with no differences are left out.
+ * 	aliases: the alias table for species names (see `loadAliases`). By default, the built-in `Aliases`.
+ * 	headerSynonyms: extra names for column headers, keyed by id (see `loadHeaderSynonyms`).
+ * 		They win over the built-in `HeaderSynonyms`.
+ * 	speciesList: reference species names keyed by id (see `loadSpeciesList`), along with the ones in `basePokedex`.
+ * 		Species not in them are reported, with suggestions of close names, and known species get their reference name.
+ * 	isStrict: if true, inherited entries for species not in the reference species are errors.
+ * 	isMergingRows: if true, rows for the same species are merged, so that each one can fill some of its fields.
+ * 		Only fields with different values in more than one row are errors. By default, any repeated species is an error.
+ *
+ * Once all rows are read, entries are checked against each other with `validatePokedex`.
+ *
+ * Returns an object {pokedex, warnings, errors}.
+ * If `basePokedex` was given, it also has `changes`: for each species, a list of {field, from, to}.
+ * If `errors` is not empty, `pokedex` is incomplete and should not be written.
+ */
+
+function generatePokedex (csvText, options) {
+	return generateData(csvText, options, 'pokedex');
+}
+
+/**
+ * Converts the contents of a CSV file into a movedex object, keyed by the `name` column.
+ * Each cell is checked against `movedexProperties`, so values such as an unknown type,
+ * category or target are reported as errors.
+ *
+ * Options are the same as in `generatePokedex`. New entries keep their `name` and get an `id`.
+ *
+ * Returns an object {movedex, warnings, errors}.
+ */
+
+function generateMovedex (csvText, options) {
+	return generateData(csvText, options, 'movedex');
+}
+
+/**
+ * Converts the contents of a CSV file into an abilities object, keyed by the `name` column.
+ * The `events` column is a slash-separated list of event hooks, such as `onStart/onModifyAtk`.
+ * New entries get an empty handler for each of them, to be filled in by hand.
+ *
+ * Options are the same as in `generatePokedex`.
+ *
+ * Returns an object {abilities, warnings, errors}.
+ */
+
+function generateAbilities (csvText, options) {
+	return generateData(csvText, options, 'abilities');
+}
+
+/**
+ * Converts the contents of a CSV file into an items object, keyed by the `name` column.
+ * Works like `generateAbilities`, with the extra columns `flingpower`, `isgem` and `isberry`.
+ *
+ * Returns an object {items, warnings, errors}.
+ */
+
+function generateItems (csvText, options) {
+	return generateData(csvText, options, 'items');
+}
+
+/**
+ * Converts the contents of a CSV file into a formats-data object, keyed by the `species` column.
+ * Tiers are checked against `validTiers` and `validDoublesTiers`, and random battle movepools
+ * are slash-separated lists of moves.
+ *
+ * Options are the same as in `generatePokedex`.
+ *
+ * Returns an object {formatsdata, warnings, errors}.
+ */
+
+function generateFormatsData (csvText, options) {
+	return generateData(csvText, options, 'formatsdata');
+}
+
+/**
+ * Converts the contents of a CSV file into a learnsets object.
+ * Each row adds one way for a species to learn a move, with the columns:
+ * 	species, move, method (level, tm, egg, tutor or event), level, event, gen
+ *
+ * `level` is required for level-up moves. `event` is the index of the event in the species'
+ * `eventPokemon`, and defaults to 0. `gen` defaults to the `gen` option, or 6.
+ *
+ * Options are the same as in `generatePokedex`, plus `gen`.
+ * As with the Pokédex, entries get `inherit: true` unless `isNewEntries` is set.
+ *
+ * Returns an object {learnsets, warnings, errors}.
+ */
+
+function generateLearnsets (csvText, options) {
+	return useAliases(options, function () {return buildLearnsets(csvText, options || {})});
+}
+
+function buildLearnsets (csvText, options) {
+	var fileName = options.fileName || 'input';
+	var result = {learnsets: Object.create(null), warnings: [], errors: []};
+
+	var rows = readRows(csvText, options, 'learnsets', result);
+	if (result.errors.length) return result;
+
+	var indexMap = readHeaders(rows.shift().values, learnsetProperties, getHeaderSynonyms('learnsets', options), result);
+	if (result.errors.length) return result;
+
+	['species', 'move', 'method'].forEach(function (key) {
+		if (!(key in indexMap)) result.errors.push({message: "'" + key + "' header not found in file: '" + fileName + "'."});
+	});
+	if (result.errors.length) return result;
+
+	rows.forEach(function (row) {
+		var errorCount = result.errors.length;
+		var cells = Object.create(null);
+		for (var key in indexMap) {
+			if (!row.values[indexMap[key]]) continue;
+			cells[key] = validateCell(learnsetProperties, key, row, indexMap, result);
+		}
+		if (result.errors.length > errorCount) return;
+		if (!cells.species || !cells.move || !cells.method) {
+			result.errors.push({message: "Species, move and method are required.", line: row.line, text: row.text});
+			return;
+		}
+
+		var source = '' + (cells.gen || options.gen || 6) + cells.method;
+		if (cells.method === 'L') {
+			if (!cells.level) {
+				result.errors.push({message: "Level-up moves require a level.", line: row.line, text: row.text});
+				return;
+			}
+			source += cells.level;
+		} else if (cells.method === 'S') {
+			source += cells.event || 0;
+		}
+
+		var entry = result.learnsets[cells.species];
+		if (!entry) {
+			entry = result.learnsets[cells.species] = Object.create(null);
+			if (!options.isNewEntries) entry.inherit = true;
+			entry.learnset = Object.create(null);
+		}
+		if (!entry.learnset[cells.move]) entry.learnset[cells.move] = [];
+		if (entry.learnset[cells.move].indexOf(source) < 0) entry.learnset[cells.move].push(source);
+	});
+
+	// moves are sorted alphabetically, as in PS learnsets
+	Object.keys(result.learnsets).forEach(function (species) {
+		var learnset = result.learnsets[species].learnset;
+		result.learnsets[species].learnset = Object.create(null);
+		Object.keys(learnset).sort().forEach(function (move) {
+			result.learnsets[species].learnset[move] = learnset[move];
+		});
+	});
+
+	return result;
+}
+
+DataTypes = {
+	pokedex: {
+		generate: generatePokedex,
+		properties: validProperties,
+		keyColumn: 'species',
+		toKey: function (val) {return toId(parseAlias(val))},
+		buildEntry: buildDexEntry,
+		formatEntry: formatDexEntry,
+		validate: validatePokedex,
+		exportName: 'BattlePokedex',
+		moduleExportName: 'Pokedex',
+		typeName: 'ModdedSpeciesData',
+		keyOrder: [
+			'inherit', 'num', 'species', 'name', 'baseSpecies', 'forme', 'formeLetter', 'types', 'gender', 'genderRatio', 'baseStats',
+			'abilities', 'heightm', 'weightkg', 'color', 'prevo', 'evoType', 'evoLevel', 'evoMove', 'evoItem', 'evoCondition', 'evos',
+			'eggGroups', 'tags', 'otherFormes', 'cosmeticFormes', 'formeOrder', 'canGigantamax', 'requiredItem', 'requiredItems',
+			'requiredAbility', 'changesFrom', 'battleOnly', 'maxHP', 'gen', 'isNonstandard'
+		],
+		depth: 3,
+		input: 'pokedex.csv',
+		output: 'pokedex.js.out'
+	},
+	learnsets: {
+		generate: generateLearnsets,
+		properties: learnsetProperties,
+		keyColumn: 'species',
+		exportName: 'BattleLearnsets',
+		moduleExportName: 'Learnsets',
+		typeName: 'ModdedLearnsetData',
+		keyOrder: ['inherit', 'learnset'],
+		depth: 4,
+		input: 'learnsets.csv',
+		output: 'learnsets.js.out'
+	},
+	movedex: {
+		generate: generateMovedex,
+		properties: movedexProperties,
+		keyColumn: 'name',
+		toKey: toId,
+		buildEntry: buildMoveEntry,
+		formatEntry: formatNamedEntry,
+		exportName: 'BattleMovedex',
+		moduleExportName: 'Moves',
+		typeName: 'ModdedMoveData',
+		keyOrder: [
+			'inherit', 'num', 'accuracy', 'basePower', 'category', 'desc', 'shortDesc', 'id', 'name', 'pp', 'priority',
+			'flags', '*', 'secondary', 'target', 'type'
+		],
+		depth: 3,
+		input: 'moves.csv',
+		output: 'moves.js.out'
+	},
+	abilities: {
+		generate: generateAbilities,
+		properties: abilityProperties,
+		keyColumn: 'name',
+		toKey: toId,
+		buildEntry: buildAbilityEntry,
+		formatEntry: formatNamedEntry,
+		exportName: 'BattleAbilities',
+		moduleExportName: 'Abilities',
+		typeName: 'ModdedAbilityData',
+		keyOrder: ['inherit', 'desc', 'shortDesc', '*', 'id', 'name', 'rating', 'num'],
+		depth: 3,
+		input: 'abilities.csv',
+		output: 'abilities.js.out'
+	},
+	items: {
+		generate: generateItems,
+		properties: itemProperties,
+		keyColumn: 'name',
+		toKey: toId,
+		buildEntry: buildItemEntry,
+		formatEntry: formatNamedEntry,
+		exportName: 'BattleItems',
+		moduleExportName: 'Items',
+		typeName: 'ModdedItemData',
+		keyOrder: ['inherit', 'id', 'name', 'isBerry', 'isGem', 'fling', '*', 'num', 'desc', 'shortDesc'],
+		depth: 3,
+		input: 'items.csv',
+		output: 'items.js.out'
+	},
+	formatsdata: {
+		generate: generateFormatsData,
+		properties: formatsDataProperties,
+		keyColumn: 'species',
+		toKey: function (val) {return toId(parseAlias(val))},
+		buildEntry: buildFormatsEntry,
+		exportName: 'BattleFormatsData',
+		moduleExportName: 'FormatsData',
+		typeName: 'ModdedSpeciesFormatsData',
+		keyOrder: ['inherit', 'randomBattleMoves', 'randomDoubleBattleMoves', 'unreleasedHidden', 'tier', 'doublesTier', 'isNonstandard'],
+		depth: 3,
+		input: 'formats-data.csv',
+		output: 'formats-data.js.out'
+	}
+};
+
+/**
+ * Reads a `ps-mod.json` manifest, which lists the files of a whole mod:
+ *
+ * 	{
+ * 		"base": "../data/pokedex.js",
+ * 		"aliases": ["aliases.json"],
+ * 		"files": [
+ * 			{"type": "pokedex", "input": "pokedex.csv", "output": "mods/mymod/pokedex.js", "new": false},
+ * 			{"type": "learnsets", "input": "learnsets.csv"}
+ * 		]
+ * 	}
+ *
+ * Top-level settings are "base", "aliases" and "headers" (a file name or a list of them), "species", "strict",
+ * "new", "format", "quotes" and "lineEndings", as in the command line options.
+ * Each file has a "type" (a data type, such as "moves" or "formats-data"), an "input" and optionally an
+ * "output" (by default, named after the type), "new" (by default, the top-level one), "mergeRows", "sheet",
+ * "delimiter" and "inputFormat".
+ *
+ * `overrides` are top-level settings that win over the ones in the manifest, such as the ones given
+ * in the command line. Their "aliases" and "headers" are added to the manifest ones, and their "new"
+ * also wins over the one of each file.
+ *
+ * Returns the manifest, with the files completed, their types turned into `DataTypes` keys and its
+ * format into an `OutputFormats` key, or null if it is not valid. Problems are added to `result`.
+ */
+
+function readManifest (jsonText, fileName, result, overrides) {
+	var manifest;
+	try {
+		manifest = JSON.parse(('' + jsonText).replace(/^\uFEFF/, ''));
+	} catch (err) {
+		result.errors.push({message: "Manifest '" + fileName + "' is not valid JSON: " + err.message});
+		return null;
+	}
+	if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.files) || !manifest.files.length) {
+		result.errors.push({message: "Manifest '" + fileName + "' must be an object with a list of \"files\"."});
+		return null;
+	}
+	if (typeof manifest.aliases === 'string') manifest.aliases = [manifest.aliases];
+	if (typeof manifest.headers === 'string') manifest.headers = [manifest.headers];
+	for (var key in overrides) {
+		if (key === 'aliases' || key === 'headers') manifest[key] = (manifest[key] || []).concat(overrides[key]);
+		else manifest[key] = overrides[key];
+	}
+	var format = toOutputFormat(manifest.format || 'cjs');
+	if (!format) {
+		result.errors.push({message: "'" + manifest.format + "' is not a valid output format. Use one of: " + Object.keys(OutputFormats).join(", ") + "."});
+		return null;
+	}
+	manifest.format = format;
+
+	var outputs = Object.create(null);
+	manifest.files = manifest.files.map(function (file, index) {
+		if (!file || typeof file !== 'object' || !file.input) {
+			result.errors.push({message: "File " + (index + 1) + " in manifest '" + fileName + "' has no \"input\"."});
+			return file;
+		}
+		var type = toId(file.type || 'pokedex');
+		if (type === 'moves') type = 'movedex';
+		if (!DataTypes[type]) {
+			result.errors.push({message: "'" + file.type + "' is not a valid data type, in file '" + file.input + "'. Use one of: " + Object.keys(DataTypes).join(", ") + "."});
+			return file;
+		}
+		var output = file.output || DataTypes[type].output.replace(/\.js\.out$/, '.' + OutputFormats[format].extension);
+		if (outputs[output]) {
+			result.errors.push({message: "Files '" + outputs[output] + "' and '" + file.input + "' have the same output: '" + output + "'."});
+		}
+		outputs[output] = file.input;
+		return {
+			type: type,
+			input: file.input,
+			output: output,
+			isNewEntries: overrides && overrides['new'] || ('new' in file ? !!file['new'] : !!manifest['new']),
+			isMergingRows: !!file.mergeRows,
+			sheet: file.sheet,
+			delimiter: file.delimiter,
+			inputFormat: file.inputFormat
+		};
+	});
+	return result.errors.length ? null : manifest;
+}
+
+/**
+ * Checks the data files of a mod against each other:
+ * learnset and formats-data species must be in the Pokédex, their moves in the movedex,
+ * and Pokédex abilities in the abilities file.
+ *
+ * `data` is an object keyed by data type, such as {pokedex, learnsets}. The files of a mod only list
+ * its own entries, and the rest come from its parent, so a missing move, ability or species is only
+ * reported, as a warning, if it is close to one in the mod, as a typo would be. Species are errors
+ * if they are in neither the Pokédex nor `options.speciesList` or `options.basePokedex`, which are
+ * complete lists, as in `generatePokedex`.
+ * `options.fileNames` are the names of the input files of each type, used in messages.
+ *
+ * Returns an object {warnings, errors}.
+ */
+
+function validateMod (data, options) {
+	if (!options) options = {};
+	var result = {warnings: [], errors: []};
+	var fileNames = options.fileNames || {};
+	var species = null;
+	if (options.speciesList || options.basePokedex) {
+		species = getReferenceSpecies(options.speciesList, options.basePokedex);
+		for (var id in data.pokedex) species[id] = id;
+	}
+	// reports `id` if it is missing from `known`, but close to one of its ids
+	var checkTypo = function (id, known, message) {
+		if (!known || id in known) return;
+		var names = Object.create(null);
+		for (var knownId in known) names[knownId] = knownId;
+		var suggestions = getSuggestions(id, names);
+		if (!suggestions.length) return;
+		result.warnings.push({message: message + " Did you mean '" + suggestions.join("', '") + "'?"});
+	};
+
+	var checkSpeciesOf = function (type) {
+		if (!data[type]) return;
+		Object.keys(data[type]).forEach(function (id) {
+			var message = "Species '" + id + "' in file '" + fileNames[type] + "' is not in the Pokédex.";
+			if (!species) return checkTypo(id, data.pokedex, message);
+			if (id in species) return;
+			var suggestions = getSuggestions(id, species);
+			result.errors.push({message: message + (suggestions.length ? " Did you mean '" + suggestions.join("', '") + "'?" : "")});
+		});
+	};
+	var checkMoves = function (type, id, list) {
+		list.forEach(function (move) {
+			checkTypo(move, data.movedex, "Move '" + move + "' of '" + id + "' in file '" + fileNames[type] + "' is not in the movedex.");
+		});
+	};
+
+	checkSpeciesOf('learnsets');
+	checkSpeciesOf('formatsdata');
+	Object.keys(data.learnsets || {}).forEach(function (id) {
+		checkMoves('learnsets', id, Object.keys(data.learnsets[id].learnset));
+	});
+	Object.keys(data.formatsdata || {}).forEach(function (id) {
+		checkMoves('formatsdata', id, (data.formatsdata[id].randomBattleMoves || []).concat(data.formatsdata[id].randomDoubleBattleMoves || []));
+	});
+	Object.keys(data.pokedex || {}).forEach(function (id) {
+		var entry = data.pokedex[id];
+		if (entry.abilities) {
+			Object.keys(entry.abilities).forEach(function (slot) {
+				checkTypo(toId(entry.abilities[slot]), data.abilities,
+					"Ability '" + entry.abilities[slot] + "' of '" + id + "' in file '" + fileNames.pokedex + "' is not in the abilities file.");
+			});
+		}
+		if (data.learnsets && !entry.inherit && !data.learnsets[id]) {
+			result.warnings.push({message: "New species '" + id + "' in file '" + fileNames.pokedex + "' has no learnset in file '" + fileNames.learnsets + "'."});
+		}
+	});
+	return result;
+}
+
+/**
+ * Evaluates the contents of a PS data file, such as `exports.BattlePokedex = {...};`,
+ * in a sandbox, and returns the exported object for the given data type.
+ * Problems are added to `result.errors`, and `null` is returned.
+ */
+
+function loadDataFile (jsText, type, fileName, result) {
+	var exportName = DataTypes[type].exportName;
+	var sandbox = {exports: {}};
+	sandbox.module = {exports: sandbox.exports};
+	try {
+		vm.runInNewContext('' + jsText, sandbox, {filename: fileName, timeout: 5000});
+	} catch (err) {
+		result.errors.push({message: "File '" + fileName + "' could not be evaluated: " + err.message});
+		return null;
+	}
+	var data = sandbox.module.exports[exportName] || sandbox.exports[exportName];
+	if (!data || typeof data !== 'object') {
+		result.errors.push({message: "File '" + fileName + "' does not export '" + exportName + "'."});
+		return null;
+	}
+	return data;
+}
+
+function toCSVField (value) {
+	value = '' + value;
+	if (!/[",\r\n]|^\s|\s$/.test(value)) return value;
+	return '"' + value.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Converts the contents of a PS Pokédex file into CSV, with one column per supported field.
+ * Headers are the field names of `validProperties`, and values are written in the format
+ * its validators read, so the output can be converted back with `generatePokedex`.
+ *
+ * If only some entries have `inherit`, an "inherit" column tells them apart.
+ * Fields with no matching column, and values that would not convert back to the same thing,
+ * are reported as warnings.
+ *
+ * Returns an object {csv, pokedex, warnings, errors}, where `pokedex` is the Pokédex that was read.
+ */
+
+function pokedexToCSV (jsText, options) {
+	if (!options) options = {};
+	var fileName = options.fileName || 'input';
+	var result = {csv: '', warnings: [], errors: []};
+
+	var pokedex = result.pokedex = loadDataFile(jsText, 'pokedex', fileName, result);
+	if (!pokedex) return result;
+
+	var keysByName = Object.create(null);
+	for (var key in validProperties) {
+		if (!validProperties[key].parent) keysByName[validProperties[key].name] = key;
+	}
+
+	var ids = Object.keys(pokedex);
+	var inheritCount = ids.filter(function (id) {return pokedex[id].inherit}).length;
+	// entries that all inherit, or all don't, are told apart by --new instead
+	var columns = inheritCount && inheritCount < ids.length ? ['species', 'inherit'] : ['species'];
+	var unsupported = Object.create(null);
+	ids.forEach(function (id) {
+		Object.keys(pokedex[id]).forEach(function (name) {
+			if (name === 'inherit') return;
+			if (!(name in keysByName)) {
+				if (!unsupported[name]) unsupported[name] = [];
+				unsupported[name].push(id);
+				return;
+			}
+			// Columns follow the order of the fields, so that entries convert back to the same key order
+			if (columns.indexOf(keysByName[name]) < 0) columns.push(keysByName[name]);
+		});
+	});
+
+	var lossy = Object.create(null);
+	var lines = [columns.map(function (key) {return validProperties[key].name}).join(',')];
+	ids.forEach(function (id) {
+		var entry = pokedex[id];
+		lines.push(columns.map(function (key) {
+			var property = validProperties[key];
+			if (key === 'species' && !entry.species) return toCSVField(id);
+			if (key === 'inherit') return property.format(!!entry.inherit);
+			if (entry[property.name] === undefined) return '';
+			var text = property.format ? property.format(entry[property.name]) : '' + entry[property.name];
+			var isSame = false;
+			try {
+				var converted = property.validate(text);
+				// species references are read back as names, so they only have to name the same species
+				isSame = speciesFields.indexOf(property.name) >= 0 ?
+					isEqual(toSpeciesIds(converted), toSpeciesIds(entry[property.name])) :
+					JSON.stringify(converted) === JSON.stringify(entry[property.name]);
+			} catch (err) {}
+			if (!isSame) {
+				if (!lossy[property.name]) lossy[property.name] = [];
+				lossy[property.name].push(id);
+			}
+			return toCSVField(text);
+		}).join(','));
+	});
+	result.csv = lines.join('\r\n') + '\r\n';
+
+	Object.keys(unsupported).forEach(function (name) {
+		result.warnings.push({message: "Field '" + name + "' has no matching column, and was left out of " + unsupported[name].length + " entries: " + unsupported[name].join(", ") + "."});
+	});
+	Object.keys(lossy).forEach(function (name) {
+		result.warnings.push({message: "Field '" + name + "' will not convert back to the same value in " + lossy[name].length + " entries: " + lossy[name].join(", ") + "."});
+	});
+	return result;
+}
+
+/**
+ * Finds the properties of the object literal whose '{' is at `start` in `text`,
+ * without evaluating it. Returns {end, properties}, where `end` is the index of the closing '}',
+ * and each property is {key, start, valueStart, valueEnd, hasComma}.
+ * Throws if the object can't be read.
+ */
+
+function scanObjectLiteral (text, start) {
+	var i = start + 1;
+	var properties = [];
+
+	var skipSpace = function () {
+		while (i < text.length) {
+			if (/\s/.test(text.charAt(i))) {
+				i++;
+			} else if (text.substr(i, 2) === '//') {
+				while (i < text.length && text.charAt(i) !== '\n') i++;
+			} else if (text.substr(i, 2) === '/*') {
+				i = text.indexOf('*/', i + 2);
+				if (i < 0) throw new Error("Unclosed comment.");
+				i += 2;
+			} else {
+				break;
+			}
+		}
+	};
+	var skipString = function () {
+		var quote = text.charAt(i++);
+		while (i < text.length && text.charAt(i) !== quote) {
+			if (text.charAt(i) === '\\') i++;
+			else if (quote === '`' && text.substr(i, 2) === '${') {
+				i += 2;
+				skipUntil('}');
+			}
+			i++;
+		}
+		if (i >= text.length) throw new Error("Unclosed string.");
+		i++;
+	};
+	var isRegExpStart = function () {
+		for (var j = i - 1; j >= 0 && /\s/.test(text.charAt(j)); j--);
+		return j < 0 || /[(,=:[!&|?{};+\-*%<>~^]/.test(text.charAt(j)) || /\breturn$/.test(text.slice(Math.max(0, j - 5), j + 1));
+	};
+	// skips until one of `terminators` is found outside of brackets, strings and comments
+	var skipUntil = function (terminators) {
+		var depth = 0;
+		while (i < text.length) {
+			skipSpace();
+			var c = text.charAt(i);
+			if (!depth && terminators.indexOf(c) >= 0) return;
+			if (c === '"' || c === "'" || c === '`') {
+				skipString();
+				continue;
+			}
+			if (c === '/' && isRegExpStart()) {
+				for (i++; i < text.length && text.charAt(i) !== '/'; i++) {
+					if (text.charAt(i) === '\\') i++;
+					else if (text.charAt(i) === '[') while (i < text.length && text.charAt(i) !== ']') i++;
+				}
+				i++;
+				continue;
+			}
+			if (c === '{' || c === '[' || c === '(') depth++;
+			if (c === '}' || c === ']' || c === ')') depth--;
+			if (depth < 0) throw new Error("Unbalanced brackets.");
+			i++;
+		}
+		throw new Error("Unexpected end of file.");
+	};
+
+	while (true) {
+		skipSpace();
+		if (i >= text.length) throw new Error("Unexpected end of file.");
+		if (text.charAt(i) === '}') return {end: i, properties: properties};
+		var propertyStart = i;
+		var key;
+		if (text.charAt(i) === '"' || text.charAt(i) === "'") {
+			skipString();
+			key = vm.runInNewContext(text.slice(propertyStart, i));
+		} else {
+			var match = /^[\w$]+/.exec(text.slice(i, i + 200));
+			if (!match) throw new Error("Unexpected '" + text.charAt(i) + "' in object literal.");
+			key = match[0];
+			i += key.length;
+		}
+		skipSpace();
+		var valueStart = i;
+		if (text.charAt(i) === ':') {
+			i++;
+			skipSpace();
+			valueStart = i;
+		} else if (text.charAt(i) !== '(') {
+			throw new Error("Expected ':' after '" + key + "'.");
+		}
+		skipUntil(',}');
+		var valueEnd = i;
+		while (/\s/.test(text.charAt(valueEnd - 1))) valueEnd--;
+		var hasComma = text.charAt(i) === ',';
+		if (hasComma) i++;
+		properties.push({key: '' + key, start: propertyStart, valueStart: valueStart, valueEnd: valueEnd, hasComma: hasComma});
+	}
+}
+
+function getIndentation (text, index) {
+	var lineStart = text.lastIndexOf('\n', index - 1) + 1;
+	return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+/**
+ * Merges a generated data object into the contents of an existing PS data file, in place.
+ * Only the entries in `data` are touched: their fields are replaced or added one by one,
+ * and new entries are added at the end. Other entries, other fields (such as hand-written
+ * handlers), and comments are kept as they are.
+ *
+ * Options are the same as in `serialize`.
+ *
+ * Returns an object {text, edits, warnings, errors}, where `edits` is a list of
+ * {start, end, text} replacements of the original text, in order.
+ */
+
+function mergeIntoDataFile (fileText, data, type, options) {
+	if (!options) options = {};
+	var dataType = DataTypes[type || 'pokedex'];
+	var fileName = options.fileName || 'output';
+	var result = {text: fileText, edits: [], warnings: [], errors: []};
+
+	var exportMatch = new RegExp('(?:exports\\.' + dataType.exportName + '|export\\s+const\\s+' + dataType.moduleExportName + '\\b[^=]*)\\s*=\\s*\\{').exec(fileText);
+	if (!exportMatch) {
+		result.errors.push({message: "The object exported by file '" + fileName + "' could not be found."});
+		return result;
+	}
+	var isModule = exportMatch[0].indexOf('exports.') !== 0;
+	// modules can't be evaluated here, so only the scan below checks them
+	if (!isModule && !loadDataFile(fileText, type || 'pokedex', fileName, result)) return result;
+	data = formatData(data, type || 'pokedex', isModule ? 'esm' : 'cjs');
+
+	var object;
+	try {
+		object = scanObjectLiteral(fileText, exportMatch.index + exportMatch[0].length - 1);
+	} catch (err) {
+		result.errors.push({message: "File '" + fileName + "' could not be read: " + err.message});
+		return result;
+	}
+
+	var newLine = /\r\n/.test(fileText) ? '\r\n' : '\n';
+	var literalOptions = {
+		depth: dataType.depth,
+		quote: options.quote,
+		keyOrder: dataType.keyOrder,
+		isMethodShorthand: isModule
+	};
+	var toLiteral = function (value, level) {
+		return toObjectLiteral(value, literalOptions, level).replace(/\n/g, newLine);
+	};
+	var appendProperties = function (container, items, indent, closeIndex) {
+		// adds properties before the closing brace, after the last one, which may need a comma
+		var last = container.properties[container.properties.length - 1];
+		var insertAt = last ? last.valueEnd : closeIndex;
+		var text = last && !last.hasComma ? ',' : '';
+		if (last && last.hasComma) insertAt = fileText.indexOf(',', last.valueEnd) + 1;
+		if (last && fileText.slice(container.properties[0].start - 1, closeIndex).indexOf('\n') < 0) {
+			// single-line objects stay in a single line
+			if (!last.hasComma) text = ', ' + items.join(', ');
+			else text = ' ' + items.join(', ') + ',';
+		} else {
+			// a comment after the last property stays on its line
+			var lineRest = /^[^\r\n]*/.exec(fileText.slice(insertAt))[0];
+			if (last && last.hasComma && /^\s*\/\//.test(lineRest)) insertAt += lineRest.length;
+			items.forEach(function (item) {
+				text += newLine + indent + item + ',';
+			});
+		}
+		result.edits.push({start: insertAt, end: insertAt, text: text});
+	};
+
+	var entryIndent = object.properties.length ? getIndentation(fileText, object.properties[0].start) : '\t';
+	var newEntries = [];
+	Object.keys(data).forEach(function (id) {
+		var existing = object.properties.filter(function (property) {return property.key === id})[0];
+		if (!existing) {
+			newEntries.push(toPropertyKey(id, options.quote) + ': ' + toLiteral(data[id], 1));
+			return;
+		}
+		if (fileText.charAt(existing.valueStart) !== '{') {
+			result.warnings.push({message: "Entry '" + id + "' in file '" + fileName + "' is not an object literal, and was left as it is."});
+			return;
+		}
+		var entry = scanObjectLiteral(fileText, existing.valueStart);
+		var fieldIndent = entry.properties.length ? getIndentation(fileText, entry.properties[0].start) : entryIndent + '\t';
+		var newFields = [];
+		Object.keys(data[id]).forEach(function (field) {
+			if (field === 'inherit') return; // existing entries keep their own inheritance
+			var value = toLiteral(data[id][field], 2);
+			var current = entry.properties.filter(function (property) {return property.key === field})[0];
+			if (!current) {
+				newFields.push(toPropertyKey(field, options.quote) + ': ' + value);
+			} else if (fileText.slice(current.valueStart, current.valueEnd) !== value) {
+				result.edits.push({start: current.valueStart, end: current.valueEnd, text: value});
+			}
+		});
+		if (newFields.length) appendProperties(entry, newFields, fieldIndent, entry.end);
+	});
+	if (newEntries.length) appendProperties(object, newEntries, entryIndent, object.end);
+
+	result.edits.sort(function (a, b) {return a.start - b.start});
+	var text = fileText;
+	for (var i = result.edits.length - 1; i >= 0; i--) {
+		text = text.slice(0, result.edits[i].start) + result.edits[i].text + text.slice(result.edits[i].end);
+	}
+	result.text = text;
+	return result;
+}
+
+/**
+ * Describes the edits of `mergeIntoDataFile` as a unified diff of the lines they change.
+ */
+
+function formatEdits (fileText, edits, fileName) {
+	var hunks = [];
+	edits.forEach(function (edit) {
+		var start = fileText.lastIndexOf('\n', edit.start - 1) + 1;
+		var end = fileText.indexOf('\n', edit.end);
+		if (end < 0) end = fileText.length;
+		var last = hunks[hunks.length - 1];
+		if (last && start <= last.end) {
+			last.end = Math.max(last.end, end);
+			last.edits.push(edit);
+		} else {
+			hunks.push({start: start, end: end, edits: [edit]});
+		}
+	});
+	var lineOffset = 0;
+	return hunks.map(function (hunk) {
+		var oldText = fileText.slice(hunk.start, hunk.end);
+		var newText = oldText;
+		for (var i = hunk.edits.length - 1; i >= 0; i--) {
+			var edit = hunk.edits[i];
+			newText = newText.slice(0, edit.start - hunk.start) + edit.text + newText.slice(edit.end - hunk.start);
+		}
+		var oldLines = oldText.replace(/\r/g, '').split('\n');
+		var newLines = newText.replace(/\r/g, '').split('\n');
+		var line = fileText.slice(0, hunk.start).split('\n').length;
+		var header = "@@ -" + line + "," + oldLines.length + " +" + (line + lineOffset) + "," + newLines.length + " @@";
+		lineOffset += newLines.length - oldLines.length;
+		return header + '\n' + oldLines.map(function (text) {return '-' + text}).join('\n') + '\n' + newLines.map(function (text) {return '+' + text}).join('\n');
+	}).join('\n').replace(/^/, "--- " + fileName + "\n+++ " + fileName + "\n");
+}
+
+function toStringLiteral (text, quote) {
+	var json = JSON.stringify(text);
+	if (quote !== "'") return json;
+	return "'" + json.slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'") + "'";
+}
+
+function toPropertyKey (key, quote) {
+	if (/^[A-Za-z_$][\w$]*$/.test(key) || /^(?:0|[1-9]\d*)$/.test(key)) return key;
+	return toStringLiteral(key, quote);
+}
+
+function sortKeys (keys, keyOrder) {
+	if (!keyOrder) return keys;
+	var rest = keys.filter(function (key) {return keyOrder.indexOf(key) < 0});
+	var sorted = [];
+	keyOrder.forEach(function (key) {
+		if (key === '*') sorted = sorted.concat(rest);
+		else if (keys.indexOf(key) >= 0) sorted.push(key);
+	});
+	return keyOrder.indexOf('*') < 0 ? sorted.concat(rest) : sorted;
+}
+
+/**
+ * Writes a value as a JavaScript literal, indented with tabs, in the style of PS data files:
+ * keys are only quoted if they are not identifiers or numbers, multi-line objects have
+ * trailing commas, and values nested `depth` levels deep or more are written in one line.
+ *
+ * Options:
+ * 	depth: the nesting level from which values are written in one line.
+ * 	quote: '"' (default) or "'".
+ * 	keyOrder: the order of the fields of each entry. Unlisted fields go where '*' is, or else at the end.
+ * 	isMethodShorthand: if true, functions are written as `onStart() {}` instead of `onStart: function () {}`.
+ * 	comments: comments to write after fields, keyed by entry and field (see `describeProvenance`).
+ */
+
+function toObjectLiteral (value, options, level) {
+	if (!level) level = 0;
+	var quote = options.quote || '"';
+	if (value === null || value === undefined) return 'null';
+	if (typeof value === 'string') return toStringLiteral(value, quote);
+	if (typeof value === 'number') return isFinite(value) ? '' + value : 'null';
+	if (typeof value === 'boolean') return '' + value;
+	if (typeof value === 'function') return value.toString();
+
+	var isArray = Array.isArray(value);
+	var keys = isArray ? value.map(function (item, index) {return index}) : Object.keys(value).filter(function (key) {
+		return value[key] !== undefined;
+	});
+	if (!isArray && level === 1) keys = sortKeys(keys, options.keyOrder);
+	var open = isArray ? '[' : '{';
+	var close = isArray ? ']' : '}';
+	if (!keys.length) return open + close;
+
+	var items = keys.map(function (key) {
+		var item = value[key];
+		var itemOptions = options;
+		if (isArray) return toObjectLiteral(item, options, level + 1);
+		if (level === 0 && options.comments) {
+			// entries only get the comments of their own fields
+			itemOptions = Object.create(options);
+			itemOptions.fieldComments = options.comments[key] || null;
+		}
+		if (typeof item === 'function' && options.isMethodShorthand && /^function\s*\(/.test(item.toString())) {
+			return toPropertyKey(key, quote) + item.toString().replace(/^function\s*/, '');
+		}
+		return toPropertyKey(key, quote) + ': ' + toObjectLiteral(item, itemOptions, level + 1);
+	});
+	if (level >= (options.depth || 3) - 1) return open + items.join(', ') + close;
+
+	var indent = new Array(level + 1).join('\t');
+	var comments = level === 1 && options.fieldComments;
+	return open + '\n' + items.map(function (item, index) {
+		var comment = comments && comments[keys[index]];
+		return indent + '\t' + item + ',' + (comment ? ' // ' + comment : '') + '\n';
+	}).join('') + indent + close;
+}
+
+OutputFormats = {
+	cjs: {extension: 'js', lineEnding: '\r\n'},
+	esm: {extension: 'js', lineEnding: '\n'},
+	ts: {extension: 'ts', lineEnding: '\n'},
+	json: {extension: 'json', lineEnding: '\n'}
+};
+
+/**
+ * Returns the key in `OutputFormats` of a format name, such as 'ESM', or 'showdown' for cjs,
+ * or '' if it is not one.
+ */
+
+function toOutputFormat (name) {
+	var format = toId(name);
+	if (format === 'showdown') format = 'cjs';
+	return OutputFormats.hasOwnProperty(format) ? format : '';
+}
+
+/**
+ * Converts a data object into the contents of a file.
+ *
+ * Formats:
+ * 	cjs (default, also 'showdown'): `exports.BattlePokedex = {...};`, formatted like PS data files.
+ * 		Fields of each entry are sorted as in the PS data files, following `keyOrder` in `DataTypes`.
+ * 	esm: `export const Pokedex = {...};`, as in newer PS forks.
+ * 	ts: `export const Pokedex: {[k: string]: ModdedSpeciesData} = {...};`
+ * 	json: plain JSON. Functions, such as event handler stubs, are left out.
+ * Entries of all but cjs have the fields of newer PS data files (see `formatDexEntry`).
+ *
+ * `type` is one of the keys of `DataTypes`, and defaults to 'pokedex'.
+ * Options:
+ * 	lineEnding: '\r\n' or '\n'. Defaults to CRLF for cjs, as in PS data files, and to LF otherwise.
+ * 	quote: the quote for strings, '"' (default) or "'". See `toObjectLiteral`.
+ * 	comments: comments to write after fields, as in `toObjectLiteral`. JSON output has none.
+ */
+
+function serialize (data, format, type, options) {
+	var dataType = DataTypes[type || 'pokedex'];
+	if (!toOutputFormat(format || 'cjs')) throw new Error("'" + format + "' is not a valid output format. Use one of: " + Object.keys(OutputFormats).join(", ") + ".");
+	format = toOutputFormat(format || 'cjs');
+	var lineEnding = (options && options.lineEnding) || OutputFormats[format].lineEnding;
+	data = formatData(data, type || 'pokedex', format);
+	if (format === 'json') return (JSON.stringify(data, null, '\t') + '\n').replace(/\n/g, lineEnding);
+
+	var text = toObjectLiteral(data, {
+		depth: dataType.depth,
+		quote: options && options.quote,
+		keyOrder: dataType.keyOrder,
+		isMethodShorthand: format !== 'cjs',
+		comments: options && options.comments
+	});
+	if (format === 'esm') {
+		text = 'export const ' + dataType.moduleExportName + ' = ' + text;
+	} else if (format === 'ts') {
+		text = 'export const ' + dataType.moduleExportName + ': {[k: string]: ' + dataType.typeName + '} = ' + text;
+	} else {
+		text = 'exports.' + dataType.exportName + ' = ' + text;
+	}
+	text += ';\n';
+	return lineEnding === '\n' ? text : text.replace(/\n/g, lineEnding);
+}
+
+function highlight (message) {
+	return message.replace(/'([^'\n]*)'/g, "'" + colorMagenta + "$1" + colorCyan + "'");
+}
+
+function printProblem (label, problem) {
+	var output = "" + colorRed + label + colorCyan + highlight(problem.message) + colorEnd;
+	if (problem.line) output += "\n" + colorRed + (problem.file ? problem.file + " " : "") + "L" + problem.line + (problem.column ? ":" + problem.column : "") + "  " + colorMagenta + problem.text + colorEnd;
+	console.log(output);
+}
+
+function readFileOrReport (fileName) {
+	try {
+		return fs.readFileSync(fileName);
+	} catch (err) {
+		console.log("" + colorRed + "Error  " + colorCyan + "File " + colorMagenta + "'" + fileName + colorCyan + "' was not found or could not be read." + colorEnd);
+		return null;
+	}
+}
+
+/**
+ * Prints the problems of a result, and returns false if there were errors.
+ */
+
+function printResult (result) {
+	result.warnings.forEach(printProblem.bind(null, "Warn   "));
+	result.errors.forEach(printProblem.bind(null, "Error  "));
+	return !result.errors.length;
+}
+
+function formatValue (value) {
+	if (value === undefined) return "(none)";
+	if (typeof value === 'string') return value;
+	if (value && typeof value === 'object' && !Array.isArray(value)) {
+		return Object.keys(value).map(function (key) {return value[key]}).join('/');
+	}
+	return Array.isArray(value) ? value.join('/') : '' + value;
+}
+
+function printChanges (changes) {
+	Object.keys(changes).forEach(function (id) {
+		if (!changes[id].length) {
+			console.log("" + colorCyan + "'" + colorMagenta + id + colorCyan + "' is the same as in the base Pokédex, and was left out." + colorEnd);
+			return;
+		}
+		console.log("" + colorCyan + "'" + colorMagenta + id + colorCyan + "' changes:" + colorEnd);
+		changes[id].forEach(function (change) {
+			console.log("" + colorCyan + "  " + change.field + ": " + colorMagenta + formatValue(change.from) + colorCyan + " -> " + colorMagenta + formatValue(change.to) + colorEnd);
+		});
+	});
+}
+
+/**
+ * Prints a one-line summary of the entries added, changed and removed since the previous run of watch mode.
+ */
+
+function printRunSummary (data, previousData) {
+	var time = new Date().toTimeString().slice(0, 8);
+	var ids = Object.keys(data);
+	var count = ids.length + (ids.length === 1 ? " entry" : " entries");
+	if (!previousData) {
+		console.log("" + colorCyan + "[" + time + "] " + count + "." + colorEnd);
+		return;
+	}
+	var toText = function (entry) {return toObjectLiteral(entry, {}, 1)};
+	var added = ids.filter(function (id) {return !(id in previousData)});
+	var changed = ids.filter(function (id) {return id in previousData && toText(data[id]) !== toText(previousData[id])});
+	var removed = Object.keys(previousData).filter(function (id) {return !(id in data)});
+	var list = function (label, ids) {
+		return ids.length ? ", " + label + ": " + colorMagenta + ids.join(", ") + colorCyan : "";
+	};
+	console.log("" + colorCyan + "[" + time + "] " + count + " (+" + added.length + " ~" + changed.length + " -" + removed.length + ")" +
+		list("added", added) + list("changed", changed) + list("removed", removed) + "." + colorEnd);
+}
+
+function mergeCommandLine (data, type, fileName, isDryRun, options) {
+	var fileText = readFileOrReport(fileName);
+	if (fileText === null) return false;
+	fileText = '' + fileText;
+	options.fileName = fileName;
+	var result = mergeIntoDataFile(fileText, data, type, options);
+	if (!printResult(result)) return false;
+
+	if (isDryRun) {
+		if (!result.edits.length) {
+			console.log("" + colorCyan + "File '" + colorMagenta + fileName + colorCyan + "' is already up to date." + colorEnd);
+			return true;
+		}
+		console.log(formatEdits(fileText, result.edits, fileName).split('\n').map(function (line) {
+			if (line.charAt(0) === '-' && line.slice(0, 3) !== '---') return colorRed + line + colorEnd;
+			if (line.charAt(0) === '+' && line.slice(0, 3) !== '+++') return colorCyan + line + colorEnd;
+			return line;
+		}).join('\n'));
+		return true;
+	}
+
+	try {
+		fs.writeFileSync(fileName, result.text);
+	} catch (err) {
+		console.log("" + colorRed + "Error " + colorCyan + " It was not possible to write output to file: '" + colorMagenta + fileName + colorCyan + "'." + colorEnd);
+		return false;
+	}
+	console.log("" + colorCyan + "File '" + colorMagenta + fileName + colorCyan + "' successfully updated (" + result.edits.length + " changes)." + colorEnd);
+	return true;
+}
+
+/**
+ * Runs `run` again whenever one of the files changes, waiting for changes to settle first,
+ * since spreadsheet programs often save in several steps. Directories are watched instead
+ * of the files themselves, so files that are replaced on save are still followed.
+ */
+
+function watchFiles (fileNames, run) {
+	var path = require('path');
+	var timer = null;
+	var namesByDirectory = Object.create(null);
+	fileNames.forEach(function (fileName) {
+		var directory = path.dirname(path.resolve(fileName));
+		if (!namesByDirectory[directory]) namesByDirectory[directory] = [];
+		namesByDirectory[directory].push(path.basename(fileName));
+	});
+	Object.keys(namesByDirectory).forEach(function (directory) {
+		fs.watch(directory, function (event, name) {
+			if (name && namesByDirectory[directory].indexOf('' + name) < 0) return;
+			clearTimeout(timer);
+			timer = setTimeout(run, 300);
+		});
+	});
+	console.log("" + colorCyan + "Watching '" + colorMagenta + fileNames.join("', '") + colorCyan + "' for changes. Press Ctrl+C to stop." + colorEnd);
+}
+
+/**
+ * Loads the base Pokédex, alias files, header files and species list given in the command line or a manifest into `options`.
+ * Returns false if one of them could not be read.
+ */
+
+function loadSharedFiles (baseFileName, aliasFileNames, headerFileNames, speciesFileName, options) {
+	if (baseFileName) {
+		var baseText = readFileOrReport(baseFileName);
+		if (baseText === null) return false;
+		var baseResult = {warnings: [], errors: []};
+		options.basePokedex = loadDataFile(baseText, 'pokedex', baseFileName, baseResult);
+		if (!printResult(baseResult)) return false;
+	}
+
+	if (aliasFileNames.length) {
+		var aliasResult = {warnings: [], errors: []};
+		var aliases = Aliases;
+		for (var i = 0; i < aliasFileNames.length && aliases; i++) {
+			var aliasText = readFileOrReport(aliasFileNames[i]);
+			if (aliasText === null) return false;
+			aliases = loadAliases(aliasText, aliasFileNames[i], aliases, aliasResult);
+		}
+		if (aliases) options.aliases = checkAliases(aliases, options.basePokedex, aliasResult);
+		if (!printResult(aliasResult)) return false;
+	}
+
+	if (headerFileNames.length) {
+		var headerResult = {warnings: [], errors: []};
+		var synonyms = Object.create(null);
+		for (i = 0; i < headerFileNames.length && synonyms; i++) {
+			var headerText = readFileOrReport(headerFileNames[i]);
+			if (headerText === null) return false;
+			synonyms = loadHeaderSynonyms(headerText, headerFileNames[i], synonyms, headerResult);
+		}
+		if (synonyms) options.headerSynonyms = synonyms;
+		if (!printResult(headerResult)) return false;
+	}
+
+	if (speciesFileName) {
+		var speciesText = readFileOrReport(speciesFileName);
+		if (speciesText === null) return false;
+		var speciesResult = {warnings: [], errors: []};
+		options.speciesList = loadSpeciesList(speciesText, speciesFileName, speciesResult);
+		if (!printResult(speciesResult)) return false;
+	}
+	return true;
+}
+
+/**
+ * Runs `run` once, and then again on every change of the files returned by `getFileNames`.
+ * Problems in a run are printed, but do not stop the watcher.
+ */
+
+function runWatching (run, getFileNames) {
+	var previousData = null;
+	var watchRun = function () {
+		var data;
+		try {
+			data = run();
+		} catch (err) {
+			console.log("" + colorRed + "Error  " + colorCyan + "Unexpected error: " + colorMagenta + (err && err.message) + colorEnd);
+			data = null;
+		}
+		if (!data) {
+			console.log("" + colorCyan + "[" + new Date().toTimeString().slice(0, 8) + "] Nothing was written. Waiting for changes..." + colorEnd);
+			return;
+		}
+		printRunSummary(data, previousData);
+		previousData = data;
+	};
+	watchRun();
+	watchFiles(getFileNames(), watchRun);
+}
+
+/**
+ * Generates all the files of a mod, listed in a manifest (see `readManifest`).
+ * Paths in the manifest are relative to its folder, unless they are absolute. Nothing is written unless
+ * every file, and the files as a whole (see `validateMod`), are free of errors.
+ * `overrides` are the settings given in the command line, which win over the ones in the manifest.
+ */
+
+function runMod (manifestFileName, isWatching, overrides) {
+	var path = require('path');
+	var directory = path.dirname(manifestFileName);
+	var resolve = function (fileName) {return fileName && (path.isAbsolute(fileName) ? fileName : path.join(directory, fileName))};
+	var manifest = null;
+
+	var run = function () {
+		var manifestText = readFileOrReport(manifestFileName);
+		if (manifestText === null) return null;
+		var manifestResult = {warnings: [], errors: []};
+		manifest = readManifest(manifestText, manifestFileName, manifestResult, overrides);
+		if (!printResult(manifestResult)) return null;
+
+		var options = {isStrict: !!manifest.strict};
+		if (!loadSharedFiles(resolve(manifest.base), (manifest.aliases || []).map(resolve), (manifest.headers || []).map(resolve), resolve(manifest.species), options)) return null;
+
+		var data = Object.create(null);
+		var allData = Object.create(null);
+		var fileNames = Object.create(null);
+		var isValid = true;
+		manifest.files.forEach(function (file) {
+			var contents = readFileOrReport(resolve(file.input));
+			if (contents === null) {
+				isValid = false;
+				return;
+			}
+			var result = DataTypes[file.type].generate(contents, {
+				fileName: file.input,
+				isNewEntries: file.isNewEntries,
+				isMergingRows: file.isMergingRows,
+				isStrict: options.isStrict,
+				sheet: file.sheet,
+				delimiter: file.delimiter,
+				inputFormat: file.inputFormat,
+				basePokedex: options.basePokedex,
+				aliases: options.aliases,
+				headerSynonyms: options.headerSynonyms,
+				speciesList: options.speciesList
+			});
+			if (result.warnings.length || result.errors.length) {
+				console.log("" + colorCyan + "In '" + colorMagenta + file.input + colorCyan + "':" + colorEnd);
+			}
+			if (!printResult(result)) isValid = false;
+			if (result.changes) printChanges(result.changes);
+			file.data = result[file.type];
+			if (!data[file.type]) data[file.type] = Object.create(null);
+			for (var id in file.data) {
+				data[file.type][id] = file.data[id];
+				allData[file.type + '/' + id] = file.data[id];
+			}
+			fileNames[file.type] = file.input;
+		});
+		if (!isValid) return null;
+
+		var modResult = validateMod(data, {fileNames: fileNames, basePokedex: options.basePokedex, speciesList: options.speciesList});
+		if (!printResult(modResult)) return null;
+
+		var format = manifest.format;
+		var lineEnding = toId(manifest.lineEndings) === 'crlf' ? '\r\n' : toId(manifest.lineEndings) === 'lf' ? '\n' : null;
+		var quote = toId(manifest.quotes) === 'single' ? "'" : '"';
+		for (var i = 0; i < manifest.files.length; i++) {
+			var file = manifest.files[i];
+			var outputFileName = resolve(file.output);
+			try {
+				fs.mkdirSync(path.dirname(outputFileName), {recursive: true});
+				fs.writeFileSync(outputFileName, serialize(file.data, format, file.type, {lineEnding: lineEnding, quote: quote}));
+			} catch (err) {
+				console.log("" + colorRed + "Error " + colorCyan + " It was not possible to write output to file: '" + colorMagenta + outputFileName + colorCyan + "'." + colorEnd);
+				return null;
+			}
+			console.log("" + colorCyan + "File '" + colorMagenta + outputFileName + colorCyan + "' successfully written." + colorEnd);
+		}
+		return allData;
+	};
+
+	if (!isWatching) {
+		if (!run()) process.exit(1);
+		return;
+	}
+	runWatching(run, function () {
+		if (!manifest) return [manifestFileName];
+		var fileNames = [manifestFileName, resolve(manifest.base), resolve(manifest.species)].concat((manifest.aliases || []).map(resolve), (manifest.headers || []).map(resolve));
+		return fileNames.concat(manifest.files.map(function (file) {return resolve(file.input)})).filter(Boolean);
+	});
+}
+
+function printProvenance (provenance) {
+	var comments = describeProvenance(provenance);
+	Object.keys(comments).forEach(function (id) {
+		console.log("" + colorCyan + "'" + colorMagenta + id + colorCyan + "':" + colorEnd);
+		Object.keys(comments[id]).forEach(function (field) {
+			console.log("" + colorCyan + "  " + field + ": " + colorMagenta + comments[id][field] + colorEnd);
+		});
+	});
+}
+
+function runCommandLine (args) {
+	var inputFileNames, outputFileName;
+	var options = {};
+	var isToCSV = false;
+	var type = 'pokedex';
+	var baseFileName = '';
+	var format = 'cjs';
+	var lineEnding = null;
+	var quote = '"';
+	var mergeFileName = '';
+	var isDryRun = false;
+	var aliasFileNames = [];
+	var headerFileNames = [];
+	var speciesFileName = '';
+	var isWatching = false;
+	var manifestFileName = '';
+	var outputOption = '';
+	var isPrintingProvenance = false;
+	var isCommentingProvenance = false;
+	// options that are also settings of a manifest, keyed as in it, and the ones that can't be used with "mod"
+	var modSettings = Object.create(null);
+	var otherOptions = [];
+	var path = require('path');
+
+	args = args.filter(function (option, index) {
+		if (option[0] === '-' && option[1] === '-') {
+			var id = toId(option.slice(2).split('=')[0]);
+			var value = option.indexOf('=') >= 0 ? option.slice(option.indexOf('=') + 1) : null;
+			// the manifest of "mod" is optional, so it does not take the next option as its value
+			var isMissingValue = id === 'mod' && /^--/.test(args[index + 1] || '');
+			if (value === null && !isMissingValue && id in {'base': 1, 'delimiter': 1, 'sheet': 1, 'inputformat': 1, 'format': 1, 'lineendings': 1, 'quotes': 1, 'mergeinto': 1, 'aliases': 1, 'headers': 1, 'species': 1, 'mod': 1, 'output': 1}) {
+				value = args[index + 1] || '';
+				args[index + 1] = '--';
+			}
+			if (id === 'new') options.isNewEntries = true;
+			if (id === 'tocsv') isToCSV = true;
+			if (id === 'mergeinto') mergeFileName = value;
+			if (id === 'dryrun') isDryRun = true;
+			if (id === 'base') baseFileName = value;
+			if (id === 'aliases') aliasFileNames.push(value);
+			if (id === 'headers') headerFileNames.push(value);
+			if (id === 'species') speciesFileName = value;
+			if (id === 'strict') options.isStrict = true;
+			if (id === 'mergerows') options.isMergingRows = true;
+			if (id === 'watch') isWatching = true;
+			if (id === 'mod') manifestFileName = value || 'ps-mod.json';
+			if (id === 'output') outputOption = value;
+			if (id === 'provenance') isPrintingProvenance = true;
+			if (id === 'provenancecomments') isCommentingProvenance = true;
+			if (id === 'sheet') options.sheet = value;
+			if (id === 'quotes') quote = toId(value) === 'single' ? "'" : '"';
+			if (id === 'format') format = value;
+			if (id === 'lineendings') lineEnding = toId(value) === 'crlf' ? '\r\n' : toId(value) === 'lf' ? '\n' : null;
+			if (id === 'inputformat') options.inputFormat = toId(value) === 'yml' ? 'yaml' : toId(value);
+			if (id === 'delimiter') options.delimiter = toId(value) === 'tab' ? '\t' : value;
+			if (id === 'moves') id = 'movedex';
+			if (DataTypes[id]) type = id;
+			// file names in the command line are relative to the working folder, not to the manifest
+			if (id in {'base': 1, 'species': 1}) modSettings[id] = path.resolve(value);
+			if (id in {'aliases': 1, 'headers': 1}) modSettings[id] = (modSettings[id] || []).concat(path.resolve(value));
+			if (id in {'strict': 1, 'new': 1}) modSettings[id] = true;
+			if (id in {'format': 1, 'quotes': 1}) modSettings[id] = value;
+			if (id === 'lineendings') modSettings.lineEndings = value;
+			if (id && !(id in {'base': 1, 'species': 1, 'aliases': 1, 'headers': 1, 'strict': 1, 'new': 1, 'format': 1, 'quotes': 1, 'lineendings': 1, 'mod': 1, 'watch': 1})) {
+				otherOptions.push(option);
+			}
+			return false;
+		}
+		return true;
+	});
+	if (!toOutputFormat(format)) {
+		console.log("" + colorRed + "Error  " + colorCyan + "'" + colorMagenta + format + colorCyan + "' is not a valid output format. Use one of: " + Object.keys(OutputFormats).join(", ") + "." + colorEnd);
+		process.exit(1);
+	}
+	format = toOutputFormat(format);
+	if (manifestFileName) {
+		if (otherOptions.length || args.length) {
+			console.log("" + colorRed + "Error  " + colorMagenta + otherOptions.concat(args).join(" ") + colorCyan + " can't be used with " + colorMagenta + "--mod" + colorCyan + ". Set them in the manifest instead." + colorEnd);
+			process.exit(1);
+		}
+		runMod(manifestFileName, isWatching, modSettings);
+		return;
+	}
+	if (args.length > 2 && !outputOption) {
+		console.log("" + colorRed + "Error  " + colorCyan + "Several input files need an " + colorMagenta + "--output" + colorCyan + " file, so that none of them is overwritten." + colorEnd);
+		process.exit(1);
+	}
+	inputFileNames = outputOption ? args.slice() : args.slice(0, 1);
+	if (!inputFileNames.length) inputFileNames.push(isToCSV ? 'pokedex.js' : DataTypes[type].input);
+	outputFileName = outputOption || args[1] || (isToCSV ? 'pokedex.csv' : DataTypes[type].output.replace(/\.js\.out$/, '.' + OutputFormats[format].extension + '.out'));
+	options.fileName = inputFileNames[0];
+	// several inputs are layered, and so is a single one when its provenance is wanted
+	var isLayered = !isToCSV && (inputFileNames.length > 1 || isPrintingProvenance || isCommentingProvenance);
+
+	// returns the generated data, or null if it could not be written
+	var run = function () {
+		var inputs = [];
+		for (var i = 0; i < inputFileNames.length; i++) {
+			var contents = readFileOrReport(inputFileNames[i]);
+			if (contents === null) return null;
+			inputs.push({contents: isToCSV ? '' + contents : contents, fileName: inputFileNames[i]});
+		}
+
+		if (!loadSharedFiles(baseFileName, aliasFileNames, headerFileNames, speciesFileName, options)) return null;
+
+		var result;
+		if (isToCSV) {
+			result = pokedexToCSV(inputs[0].contents, options);
+		} else if (isLayered) {
+			result = generateLayered(inputs, options, type);
+		} else {
+			result = DataTypes[type].generate(inputs[0].contents, options);
+		}
+		if (!printResult(result)) return null;
+		if (result.changes) printChanges(result.changes);
+		if (isPrintingProvenance) printProvenance(result.provenance);
+		if (mergeFileName && !isToCSV) {
+			return mergeCommandLine(result[type], type, mergeFileName, isDryRun, {quote: quote}) ? result[type] : null;
+		}
+		var output = isToCSV ? result.csv : serialize(result[type], format, type, {
+			lineEnding: lineEnding,
+			quote: quote,
+			comments: isCommentingProvenance ? describeProvenance(result.provenance) : null
+		});
+
+		try {
+			fs.writeFileSync('./' + outputFileName , output);
+		} catch (err) {
+			console.log("" + colorRed + "Error " + colorCyan + " It was not possible to write output to file: '" + colorMagenta + outputFileName + colorCyan + "'." + colorEnd);
+			return null;
+		}
+
+		console.log("" + colorCyan + "File '" + colorMagenta + outputFileName + colorCyan + "' successfully written." + colorEnd);
+		return isToCSV ? result.pokedex : result[type];
+	};
+
+	if (!isWatching) {
+		if (!run()) process.exit(1);
+		return;
+	}
+	runWatching(run, function () {
+		return inputFileNames.concat([baseFileName, speciesFileName], aliasFileNames, headerFileNames).filter(Boolean);
+	});
+}
+
+exports.Aliases = Aliases;
+exports.DisplayNames = DisplayNames;
+exports.HeaderSynonyms = HeaderSynonyms;
+exports.validProperties = validProperties;
+exports.learnsetProperties = learnsetProperties;
+exports.movedexProperties = movedexProperties;
+exports.abilityProperties = abilityProperties;
+exports.itemProperties = itemProperties;
+exports.formatsDataProperties = formatsDataProperties;
+exports.validTiers = validTiers;
+exports.validDoublesTiers = validDoublesTiers;
+exports.DataTypes = DataTypes;
+exports.readManifest = readManifest;
+exports.validateMod = validateMod;
+exports.toId = toId;
+exports.toName = toName;
+exports.parseAlias = parseAlias;
+exports.loadAliases = loadAliases;
+exports.loadHeaderSynonyms = loadHeaderSynonyms;
+exports.checkAliases = checkAliases;
+exports.loadSpeciesList = loadSpeciesList;
+exports.CSVtoArray = CSVtoArray;
+exports.createCSVParser = createCSVParser;
+exports.readWorkbook = readWorkbook;
+exports.parseYAML = parseYAML;
+exports.decodeText = decodeText;
+exports.generatePokedex = generatePokedex;
+exports.validatePokedex = validatePokedex;
+exports.generateLearnsets = generateLearnsets;
+exports.generateMovedex = generateMovedex;
+exports.generateAbilities = generateAbilities;
+exports.generateItems = generateItems;
+exports.generateFormatsData = generateFormatsData;
+exports.generateLayered = generateLayered;
+exports.describeProvenance = describeProvenance;
+exports.serialize = serialize;
+exports.toObjectLiteral = toObjectLiteral;
+exports.OutputFormats = OutputFormats;
+exports.loadDataFile = loadDataFile;
+exports.pokedexToCSV = pokedexToCSV;
+exports.mergeIntoDataFile = mergeIntoDataFile;
+exports.formatEdits = formatEdits;
+
+if (require.main === module) runCommandLine(process.argv.slice(2));
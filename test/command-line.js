@@ -0,0 +1,143 @@
+/**
+ * Checks for the command line of pokedex-generator.js, run in a temporary folder.
+ *
+ * Run with:
+ * node test/command-line.js
+ */
+
+var assert = require('assert');
+var common = require('./common.js');
+var check = common.check;
+var runCommandLine = common.runCommandLine;
+var runWatchMode = common.runWatchMode;
+
+var pokedexCSV = 'species,num,types\nCharmander,4,Fire\n';
+var basePokedexFile = 'exports.BattlePokedex = {\r\n' +
+	'\tcharmander: {num: 4, species: "Charmander", types: ["Fire"], color: "Red"},\r\n' +
+	'\tcharmeleon: {num: 5, species: "Charmeleon", types: ["Fire"], color: "Red"},\r\n' +
+	'};\r\n';
+
+/**
+ * Single files
+ */
+
+check("Command line: the default input is read, and the output is written next to it", function () {
+	var run = runCommandLine(['--new'], {'pokedex.csv': pokedexCSV});
+	assert.strictEqual(run.status, 0, run.output);
+	assert.strictEqual(run.files['pokedex.js.out'], 'exports.BattlePokedex = {\r\n\tcharmander: {\r\n\t\tnum: 4,\r\n\t\tspecies: "Charmander",\r\n\t\ttypes: ["Fire"],\r\n\t},\r\n};\r\n');
+});
+
+check("Command line: --format and --quotes choose the output", function () {
+	var run = runCommandLine(['--new', '--format', 'esm', '--quotes=single'], {'pokedex.csv': pokedexCSV});
+	assert.strictEqual(run.status, 0, run.output);
+	assert.strictEqual(run.files['pokedex.js.out'], "export const Pokedex = {\n\tcharmander: {\n\t\tnum: 4,\n\t\tname: 'Charmander',\n\t\ttypes: ['Fire'],\n\t},\n};\n");
+	run = runCommandLine(['--new', '--format', 'xml'], {'pokedex.csv': pokedexCSV});
+	assert.strictEqual(run.status, 1);
+	assert.ok(/'xml' is not a valid output format/.test(run.output), run.output);
+});
+
+check("Command line: errors are printed with their line, and nothing is written", function () {
+	var run = runCommandLine(['in.csv', 'out.js', '--new'], {'in.csv': 'species,num\nCharmander,four\n'});
+	assert.strictEqual(run.status, 1);
+	assert.ok(run.output.indexOf("Error  'four' is not a valid Pokédex number.\nL2  Charmander,four") >= 0, run.output);
+	assert.ok(!('out.js' in run.files));
+});
+
+check("Command line: --to-csv converts a Pokédex file back to CSV", function () {
+	var run = runCommandLine(['--to-csv'], {'pokedex.js': basePokedexFile});
+	assert.strictEqual(run.status, 0, run.output);
+	assert.strictEqual(run.files['pokedex.csv'], 'species,num,types,color\r\nCharmander,4,Fire,Red\r\nCharmeleon,5,Fire,Red\r\n');
+});
+
+check("Command line: --base prints the changes to each species, and leaves out the fields that are the same", function () {
+	var run = runCommandLine(['pokedex.csv', 'out.js', '--base', 'base.js'], {'pokedex.csv': 'species,types,color\nCharmander,Fire/Dragon,Red\nCharmeleon,Fire,Red\n', 'base.js': basePokedexFile});
+	assert.strictEqual(run.status, 0, run.output);
+	assert.ok(run.output.indexOf("'charmander' changes:\n  types: Fire -> Fire/Dragon") >= 0, run.output);
+	assert.ok(run.output.indexOf("'charmeleon' is the same as in the base Pokédex, and was left out.") >= 0, run.output);
+	assert.strictEqual(run.files['out.js'], 'exports.BattlePokedex = {\r\n\tcharmander: {\r\n\t\tinherit: true,\r\n\t\ttypes: ["Fire", "Dragon"],\r\n\t},\r\n};\r\n');
+});
+
+check("Command line: --merge-into updates a data file, and --dry-run only prints the changes", function () {
+	var files = {'pokedex.csv': 'species,color\nCharmander,Blue\n', 'data/pokedex.js': basePokedexFile};
+	var run = runCommandLine(['--merge-into', 'data/pokedex.js', '--dry-run'], files);
+	assert.strictEqual(run.status, 0, run.output);
+	assert.ok(run.output.indexOf('+\tcharmander: {num: 4, species: "Charmander", types: ["Fire"], color: "Blue"},') >= 0, run.output);
+	assert.strictEqual(run.files['data/pokedex.js'], basePokedexFile);
+
+	run = runCommandLine(['--merge-into', 'data/pokedex.js'], files);
+	assert.strictEqual(run.status, 0, run.output);
+	assert.strictEqual(run.files['data/pokedex.js'], basePokedexFile.replace('color: "Red"', 'color: "Blue"'));
+	assert.ok(!('pokedex.js.out' in run.files));
+});
+
+check("Command line: --watch writes the output again when the input changes, with a summary of the changes", function () {
+	var run = runWatchMode(['--new', '--watch'], {'pokedex.csv': pokedexCSV}, {'pokedex.csv': pokedexCSV + 'Charmeleon,5,Fire\n'});
+	assert.ok(/\] 1 entry\.\n/.test(run.output), run.output);
+	assert.ok(/\] 2 entries \(\+1 ~0 -0\), added: charmeleon\.\n/.test(run.output), run.output);
+	assert.ok(run.files['pokedex.js.out'].indexOf('charmeleon') >= 0);
+});
+
+/**
+ * Layered files
+ */
+
+check("Command line: several input files are layered into the --output file, with provenance comments", function () {
+	var run = runCommandLine(['main.csv', 'patch.csv', '--output', 'out.js', '--new', '--provenance-comments'], {
+		'main.csv': 'species,num,types\nCharmander,4,Fire\n',
+		'patch.csv': 'species,types\nCharmander,Fire/Dragon\n'
+	});
+	assert.strictEqual(run.status, 0, run.output);
+	assert.strictEqual(run.files['out.js'], 'exports.BattlePokedex = {\r\n\tcharmander: {\r\n\t\tnum: 4, // main.csv L2\r\n' +
+		'\t\tspecies: "Charmander", // patch.csv L2\r\n\t\ttypes: ["Fire", "Dragon"], // patch.csv L2\r\n\t},\r\n};\r\n');
+
+	run = runCommandLine(['main.csv', 'patch.csv', 'out.js'], {'main.csv': pokedexCSV, 'patch.csv': pokedexCSV, 'out.js': 'keep'});
+	assert.strictEqual(run.status, 1);
+	assert.strictEqual(run.files['out.js'], 'keep');
+});
+
+/**
+ * Mods
+ */
+
+var modFiles = {
+	'mymod/ps-mod.json': JSON.stringify({
+		base: 'base.js',
+		format: 'showdown',
+		files: [
+			{type: 'pokedex', input: 'pokedex.csv'},
+			{type: 'moves', input: 'moves.csv', 'new': true},
+			{type: 'learnsets', input: 'learnsets.csv'}
+		]
+	}),
+	'mymod/base.js': basePokedexFile,
+	'mymod/pokedex.csv': 'species,color\nCharmander,Blue\n',
+	'mymod/moves.csv': 'name,type,category,basepower,accuracy,pp,target\nFlare Claw,Fire,Physical,70,100,15,normal\n',
+	'mymod/learnsets.csv': 'species,move,method,level\nCharmander,Flare Claw,level,10\n'
+};
+
+check("Mod: every file of the manifest is written, next to it, in its format", function () {
+	var run = runCommandLine(['--mod', 'mymod/ps-mod.json'], modFiles);
+	assert.strictEqual(run.status, 0, run.output);
+	assert.strictEqual(run.files['mymod/pokedex.js'], 'exports.BattlePokedex = {\r\n\tcharmander: {\r\n\t\tinherit: true,\r\n\t\tcolor: "Blue",\r\n\t},\r\n};\r\n');
+	assert.ok(/^exports\.BattleMovedex = \{\r\n\tflareclaw: \{\r\n/.test(run.files['mymod/moves.js']), run.files['mymod/moves.js']);
+	assert.ok(/^exports\.BattleLearnsets = /.test(run.files['mymod/learnsets.js']));
+});
+
+check("Mod: command line settings win over the manifest, and other options are rejected", function () {
+	var run = runCommandLine(['--mod', 'mymod/ps-mod.json', '--format', 'esm'], modFiles);
+	assert.strictEqual(run.status, 0, run.output);
+	assert.strictEqual(run.files['mymod/pokedex.js'], 'export const Pokedex = {\n\tcharmander: {\n\t\tinherit: true,\n\t\tcolor: "Blue",\n\t},\n};\n');
+
+	run = runCommandLine(['--mod', 'mymod/ps-mod.json', '--merge-rows'], modFiles);
+	assert.strictEqual(run.status, 1);
+	assert.ok(run.output.indexOf("--merge-rows can't be used with --mod. Set them in the manifest instead.") >= 0, run.output);
+	assert.ok(!('mymod/pokedex.js' in run.files));
+});
+
+check("Mod: files that don't match each other stop all of them from being written", function () {
+	var files = Object.assign({}, modFiles, {'mymod/learnsets.csv': 'species,move,method,level\nCharmandr,Flare Claw,level,10\n'});
+	var run = runCommandLine(['--mod', 'mymod/ps-mod.json'], files);
+	assert.strictEqual(run.status, 1);
+	assert.ok(run.output.indexOf("Species 'charmandr' in file 'learnsets.csv' is not in the Pokédex.") >= 0, run.output);
+	assert.deepStrictEqual(Object.keys(run.files).filter(function (name) {return /\.js$/.test(name) && name !== 'mymod/base.js'}), []);
+});
@@ -0,0 +1,117 @@
+/**
+ * Helpers shared by the checks in this folder.
+ *
+ * Each file of checks can be run by itself, as in `node test/generators.js`, or all of them with `node test`.
+ * The process exits with 1 if any check failed.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+
+var failures = 0;
+
+process.on('exit', function () {
+	if (!failures) return;
+	console.log(failures + " check(s) failed.");
+	process.exitCode = 1;
+});
+
+/**
+ * Runs a check, and prints whether it passed. A check fails if `test` throws, as `assert` does.
+ */
+
+exports.check = function (description, test) {
+	try {
+		test();
+		console.log("ok     " + description);
+	} catch (err) {
+		failures++;
+		console.log("FAILED " + description + "\n       " + err.message);
+	}
+};
+
+/**
+ * Returns a copy of `value` as plain JSON data, so that objects made with `Object.create(null)`
+ * are equal to object literals in `assert.deepStrictEqual`. Functions are left out.
+ */
+
+exports.plain = function (value) {
+	return JSON.parse(JSON.stringify(value));
+};
+
+var generatorFile = path.join(__dirname, '..', 'pokedex-generator.js');
+
+/**
+ * Runs pokedex-generator.js with the given arguments in a new temporary folder, holding `files`
+ * (an object of file contents keyed by name). Returns {status, output, files}, where `output` is
+ * what it printed, without colors, and `files` are the contents of the folder once it finished.
+ */
+
+exports.runCommandLine = function (args, files) {
+	return runInFolder([generatorFile].concat(args), files);
+};
+
+/**
+ * Runs pokedex-generator.js in watch mode, as in `runCommandLine`. Once it is watching, the files in
+ * `changes` are written, and it is stopped after the run that follows, or after 20 seconds.
+ */
+
+exports.runWatchMode = function (args, files, changes) {
+	// watch mode does not exit by itself, so a script of its own runs it and stops it
+	return runInFolder(['-e', '(' + watchOnce + ')()', generatorFile, JSON.stringify(args), JSON.stringify(changes)], files);
+};
+
+function watchOnce () {
+	var fs = require('fs');
+	var child = require('child_process').spawn(process.execPath, [process.argv[1]].concat(JSON.parse(process.argv[2])));
+	var changes = JSON.parse(process.argv[3]);
+	var output = '';
+	var isChanged = false;
+	var timer = setTimeout(function () {child.kill()}, 20000);
+	var read = function (data) {
+		output += data;
+		if (!isChanged && /Watching .* for changes/.test(output)) {
+			isChanged = true;
+			for (var name in changes) fs.writeFileSync(name, changes[name]);
+		} else if (isChanged && (output.match(/\[\d\d:\d\d:\d\d\]/g) || []).length > 1) {
+			child.kill();
+		}
+	};
+	child.stdout.on('data', read);
+	child.stderr.on('data', read);
+	child.on('exit', function () {
+		clearTimeout(timer);
+		process.stdout.write(output);
+	});
+}
+
+// runs node with `args` in a new temporary folder, as described in `runCommandLine`
+function runInFolder (args, files) {
+	var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pokedex-generator-'));
+	Object.keys(files || {}).forEach(function (name) {
+		fs.mkdirSync(path.dirname(path.join(directory, name)), {recursive: true});
+		fs.writeFileSync(path.join(directory, name), files[name]);
+	});
+	var run = childProcess.spawnSync(process.execPath, args, {
+		cwd: directory,
+		encoding: 'utf8',
+		timeout: 30000
+	});
+	var result = {
+		status: run.status,
+		output: (run.stdout + run.stderr).replace(/\x1B\[\d+m/g, ''),
+		files: Object.create(null)
+	};
+	var readFolder = function (folder) {
+		fs.readdirSync(path.join(directory, folder)).forEach(function (name) {
+			var fileName = path.join(folder, name);
+			if (fs.statSync(path.join(directory, fileName)).isDirectory()) return readFolder(fileName);
+			result.files[fileName.split(path.sep).join('/')] = fs.readFileSync(path.join(directory, fileName), 'utf8');
+		});
+	};
+	readFolder('');
+	fs.rmSync(directory, {recursive: true, force: true});
+	return result;
+}
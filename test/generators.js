@@ -0,0 +1,125 @@
+/**
+ * Checks for the data generators of pokedex-generator.js, used as a library:
+ * the Pokédex, learnsets, moves, abilities, items and formats-data.
+ *
+ * Run with:
+ * node test/generators.js
+ */
+
+var assert = require('assert');
+var generator = require('../pokedex-generator.js');
+var common = require('./common.js');
+var check = common.check;
+var plain = common.plain;
+
+/**
+ * Library
+ */
+
+check("Library: generatePokedex returns the Pokédex and its problems, without printing or exiting", function () {
+	var result = generator.generatePokedex('species,num,types\nBulbasaur,1,grass/poison\nIvysaur,2,Grass/Poison\n', {isNewEntries: true});
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(plain(result.pokedex), {
+		bulbasaur: {num: 1, species: 'Bulbasaur', types: ['Grass', 'Poison']},
+		ivysaur: {num: 2, species: 'Ivysaur', types: ['Grass', 'Poison']}
+	});
+
+	result = generator.generatePokedex('species,num\nBulbasaur,1\n', {});
+	assert.deepStrictEqual(plain(result.pokedex), {bulbasaur: {inherit: true, num: 1}});
+});
+
+check("Library: problems have the line and text of their row", function () {
+	var result = generator.generatePokedex('species,num\nBulbasaur,1"\n', {isNewEntries: true});
+	assert.strictEqual(result.errors.length, 1);
+	assert.strictEqual(result.errors[0].line, 2);
+	assert.strictEqual(result.errors[0].text, 'Bulbasaur,1"');
+	assert.strictEqual(generator.generatePokedex('num\n1\n', {}).errors.length, 1);
+});
+
+check("Library: serialize writes a Pokédex file", function () {
+	var result = generator.generatePokedex('species,num\nBulbasaur,1\n', {isNewEntries: true});
+	assert.strictEqual(generator.serialize(result.pokedex, 'cjs'), 'exports.BattlePokedex = {\r\n\tbulbasaur: {\r\n\t\tnum: 1,\r\n\t\tspecies: "Bulbasaur",\r\n\t},\r\n};\r\n');
+});
+
+/**
+ * Learnsets
+ */
+
+check("Learnsets: rows are grouped by species, with a source for each way to learn a move", function () {
+	var result = generator.generateLearnsets('species,move,method,level,event\n' +
+		'Bulbasaur,Vine Whip,level,9,\nbulbasaur,Vine Whip,L,9,\nBulbasaur,Toxic,tm,,\nBulbasaur,Amnesia,egg,,\nTtar,Dragon Dance,event,,1\n', {gen: 8});
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(plain(result.learnsets), {
+		bulbasaur: {inherit: true, learnset: {amnesia: ['8E'], toxic: ['8M'], vinewhip: ['8L9']}},
+		tyranitar: {inherit: true, learnset: {dragondance: ['8S1']}}
+	});
+});
+
+check("Learnsets: bad methods and level-up moves without a level are reported", function () {
+	var result = generator.generateLearnsets('species,move,method,level\nIvysaur,Tackle,level,\nIvysaur,Tackle,flying,\nIvysaur,Growl,tutor,\n', {isNewEntries: true});
+	assert.deepStrictEqual(result.errors.map(function (problem) {return problem.line}), [2, 3]);
+	assert.deepStrictEqual(plain(result.learnsets), {ivysaur: {learnset: {growl: ['6T']}}});
+	assert.strictEqual(generator.generateLearnsets('species,move\nIvysaur,Tackle\n', {}).errors.length, 1);
+});
+
+/**
+ * Moves
+ */
+
+check("Moves: cells are checked and converted to movedex fields", function () {
+	var result = generator.generateMovedex('name,type,category,basepower,accuracy,pp,priority,target,flags,secondarychance,secondarystatus\n' +
+		'Fire Punchy,fire,physical,75,100%,15,0,normal,contact/protect/punch,10,burn\nAir Cutter,Flying,Special,60,95,25,,allAdjacentFoes,slicing/wind,,\n', {isNewEntries: true});
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(plain(result.movedex), {
+		firepunchy: {
+			name: 'Fire Punchy', type: 'Fire', category: 'Physical', basePower: 75, accuracy: 100, pp: 15, priority: 0, target: 'normal',
+			flags: {contact: 1, protect: 1, punch: 1}, secondary: {chance: 10, status: 'brn'}, id: 'firepunchy'
+		},
+		aircutter: {name: 'Air Cutter', type: 'Flying', category: 'Special', basePower: 60, accuracy: 95, pp: 25, target: 'allAdjacentFoes', flags: {slicing: 1, wind: 1}, id: 'aircutter'}
+	});
+});
+
+check("Moves: bad values are reported with their row", function () {
+	var result = generator.generateMovedex('name,type,category,pp,flags\nA,Sound,Physical,5,\nB,Fire,Physical,100,\nC,Fire,Physical,5,bogus\n', {});
+	assert.deepStrictEqual(result.errors.map(function (problem) {return problem.line}), [2, 3, 4]);
+});
+
+/**
+ * Abilities and items
+ */
+
+check("Abilities: new entries get empty stubs for their events, and inherited ones do not", function () {
+	var result = generator.generateAbilities('name,rating,events\nSolar Boost,3.5,onStart/ModifyAtk\n', {isNewEntries: true});
+	assert.deepStrictEqual(result.errors, []);
+	var entry = result.abilities.solarboost;
+	assert.strictEqual(entry.name, 'Solar Boost');
+	assert.strictEqual(entry.rating, 3.5);
+	assert.strictEqual(typeof entry.onStart, 'function');
+	assert.strictEqual(typeof entry.onModifyAtk, 'function');
+	assert.ok(!('events' in entry));
+
+	result = generator.generateAbilities('name,rating,events\nBlaze,4,onBasePower\n', {});
+	assert.deepStrictEqual(plain(result.abilities), {blaze: {inherit: true, rating: 4}});
+	assert.strictEqual(generator.generateAbilities('name,rating\nBlaze,6\n', {}).errors.length, 1);
+});
+
+check("Items: fling power, berries and gems", function () {
+	var result = generator.generateItems('name,flingpower,isberry,isgem,events\nOran Berry,10,yes,no,onEat\n', {isNewEntries: true});
+	assert.deepStrictEqual(result.errors, []);
+	assert.strictEqual(typeof result.items.oranberry.onEat, 'function');
+	assert.deepStrictEqual(plain(result.items), {oranberry: {name: 'Oran Berry', fling: {basePower: 10}, isBerry: true, isGem: false, id: 'oranberry'}});
+});
+
+/**
+ * Formats-data
+ */
+
+check("Formats-data: tiers are checked, and species and moves are turned into ids", function () {
+	var result = generator.generateFormatsData('species,tier,doublestier,randombattlemoves\nTtar,ou,DOU,Stealth Rock/Crunch\nLando-T,(ou),,\nFoo,Top,,\n', {});
+	assert.deepStrictEqual(result.errors.map(function (problem) {return problem.line}), [4]);
+	assert.deepStrictEqual(plain(result.formatsdata), {
+		tyranitar: {inherit: true, tier: 'OU', doublesTier: 'DOU', randomBattleMoves: ['stealthrock', 'crunch']},
+		landorustherian: {inherit: true, tier: '(OU)'},
+		foo: {inherit: true}
+	});
+});
@@ -0,0 +1,12 @@
+/**
+ * Runs all the checks of pokedex-generator.js.
+ *
+ * Run with:
+ * node test
+ */
+
+require('./parsers.js');
+require('./generators.js');
+require('./pokedex.js');
+require('./output.js');
+require('./command-line.js');
@@ -0,0 +1,100 @@
+/**
+ * Checks for the output of pokedex-generator.js: the output formats, the serializer,
+ * and merging generated entries into an existing data file.
+ *
+ * Run with:
+ * node test/output.js
+ */
+
+var assert = require('assert');
+var generator = require('../pokedex-generator.js');
+var check = require('./common.js').check;
+
+function getPokedex () {
+	return generator.generatePokedex('species,num,prevo,otherformes,basespecies,forme\nCharizard,6,Charmeleon,Charizard-Mega-X,,\nCharizard-Mega-X,6,,,Charizard,Mega-X\n', {isNewEntries: true}).pokedex;
+}
+
+/**
+ * Output formats
+ */
+
+check("Formats: cjs writes species and species references as ids, with CRLF line endings", function () {
+	assert.strictEqual(generator.serialize(getPokedex(), 'cjs'), 'exports.BattlePokedex = {\r\n' +
+		'\tcharizard: {\r\n\t\tnum: 6,\r\n\t\tspecies: "Charizard",\r\n\t\tprevo: "charmeleon",\r\n\t\totherFormes: ["charizardmegax"],\r\n\t},\r\n' +
+		'\tcharizardmegax: {\r\n\t\tnum: 6,\r\n\t\tspecies: "Charizard-Mega-X",\r\n\t\tbaseSpecies: "charizard",\r\n\t\tforme: "Mega-X",\r\n\t},\r\n' +
+		'};\r\n');
+	assert.strictEqual(generator.serialize(getPokedex(), 'Showdown'), generator.serialize(getPokedex(), 'cjs'));
+});
+
+check("Formats: esm and ts write names, and a typed export for ts", function () {
+	var entries = '\tcharizard: {\n\t\tnum: 6,\n\t\tname: "Charizard",\n\t\tprevo: "Charmeleon",\n\t\totherFormes: ["Charizard-Mega-X"],\n\t},\n' +
+		'\tcharizardmegax: {\n\t\tnum: 6,\n\t\tname: "Charizard-Mega-X",\n\t\tbaseSpecies: "Charizard",\n\t\tforme: "Mega-X",\n\t},\n';
+	assert.strictEqual(generator.serialize(getPokedex(), 'esm'), 'export const Pokedex = {\n' + entries + '};\n');
+	assert.strictEqual(generator.serialize(getPokedex(), 'ts'), 'export const Pokedex: {[k: string]: ModdedSpeciesData} = {\n' + entries + '};\n');
+});
+
+check("Formats: json has the same fields as esm, and leaves out handlers", function () {
+	assert.deepStrictEqual(JSON.parse(generator.serialize(getPokedex(), 'json')), {
+		charizard: {num: 6, name: 'Charizard', prevo: 'Charmeleon', otherFormes: ['Charizard-Mega-X']},
+		charizardmegax: {num: 6, name: 'Charizard-Mega-X', baseSpecies: 'Charizard', forme: 'Mega-X'}
+	});
+	var abilities = generator.generateAbilities('name,events\nSolar Boost,onStart\n', {isNewEntries: true}).abilities;
+	assert.deepStrictEqual(JSON.parse(generator.serialize(abilities, 'json', 'abilities')), {solarboost: {name: 'Solar Boost'}});
+	assert.strictEqual(generator.serialize(abilities, 'esm', 'abilities'), 'export const Abilities = {\n\tsolarboost: {\n\t\tonStart() {},\n\t\tname: "Solar Boost",\n\t},\n};\n');
+});
+
+check("Formats: unknown formats throw", function () {
+	assert.throws(function () {generator.serialize(getPokedex(), 'xml')}, /'xml' is not a valid output format/);
+});
+
+/**
+ * Serializer
+ */
+
+check("Serializer: keys are quoted only when needed, and strings are escaped", function () {
+	assert.strictEqual(generator.toObjectLiteral({'a-b': 1, c: [1, 'x"y'], d: {e: true}}, {}), '{\n\t"a-b": 1,\n\tc: [\n\t\t1,\n\t\t"x\\"y",\n\t],\n\td: {\n\t\te: true,\n\t},\n}');
+});
+
+check("Serializer: quotes, line endings and comments can be chosen", function () {
+	var movedex = generator.generateMovedex('name,pp\nTackle,35\n', {isNewEntries: true}).movedex;
+	assert.strictEqual(generator.serialize(movedex, 'esm', 'movedex', {quote: "'"}), "export const Moves = {\n\ttackle: {\n\t\tname: 'Tackle',\n\t\tpp: 35,\n\t},\n};\n");
+	assert.strictEqual(generator.serialize(movedex, 'cjs', 'movedex', {lineEnding: '\n', comments: {tackle: {pp: 'L2'}}}),
+		'exports.BattleMovedex = {\n\ttackle: {\n\t\tid: "tackle",\n\t\tname: "Tackle",\n\t\tpp: 35, // L2\n\t},\n};\n');
+});
+
+/**
+ * Merging into a data file
+ */
+
+var dataFile = 'exports.BattlePokedex = {\r\n' +
+	'\tcharmeleon: {\r\n\t\tnum: 5,\r\n\t\tspecies: "Charmeleon",\r\n\t\tonStart: function () {}, // handler\r\n\t},\r\n' +
+	'\tother: {num: 1, species: "Other"},\r\n' +
+	'};\r\n';
+
+check("Merge into: fields are replaced and added in place, and other entries, handlers and comments are kept", function () {
+	var pokedex = generator.generatePokedex('species,num,color\nCharmeleon,55,Red\nOther,1,\nNew,9,\n', {isNewEntries: true}).pokedex;
+	var result = generator.mergeIntoDataFile(dataFile, pokedex, 'pokedex', {});
+	assert.deepStrictEqual(result.errors, []);
+	assert.strictEqual(result.text, 'exports.BattlePokedex = {\r\n' +
+		'\tcharmeleon: {\r\n\t\tnum: 55,\r\n\t\tspecies: "Charmeleon",\r\n\t\tonStart: function () {}, // handler\r\n\t\tcolor: "Red",\r\n\t},\r\n' +
+		'\tother: {num: 1, species: "Other"},\r\n' +
+		'\tnew: {\r\n\t\tnum: 9,\r\n\t\tspecies: "New",\r\n\t},\r\n' +
+		'};\r\n');
+	assert.strictEqual(generator.formatEdits(dataFile, result.edits, 'pokedex.js').split('\n').slice(0, 5).join('\n'),
+		'--- pokedex.js\n+++ pokedex.js\n@@ -3,1 +3,1 @@\n-\t\tnum: 5,\n+\t\tnum: 55,');
+});
+
+check("Merge into: single-line entries stay on one line, and up-to-date files have no edits", function () {
+	var pokedex = generator.generatePokedex('species,num,color\nOther,1,Red\n', {isNewEntries: true}).pokedex;
+	var result = generator.mergeIntoDataFile(dataFile, pokedex, 'pokedex', {});
+	assert.ok(result.text.indexOf('\tother: {num: 1, species: "Other", color: "Red"},\r\n') >= 0);
+	assert.deepStrictEqual(generator.mergeIntoDataFile(result.text, pokedex, 'pokedex', {}).edits, []);
+});
+
+check("Merge into: module files get species references as names, and files without an export are reported", function () {
+	var moduleFile = 'export const Pokedex: {[k: string]: ModdedSpeciesData} = {\n\tcharmeleon: {inherit: true, prevo: "Foo"},\n};\n';
+	var pokedex = generator.generatePokedex('species,prevo\nCharmeleon,Charmander\n', {}).pokedex;
+	assert.strictEqual(generator.mergeIntoDataFile(moduleFile, pokedex, 'pokedex', {}).text,
+		'export const Pokedex: {[k: string]: ModdedSpeciesData} = {\n\tcharmeleon: {inherit: true, prevo: "Charmander"},\n};\n');
+	assert.strictEqual(generator.mergeIntoDataFile('module.exports = {};', pokedex, 'pokedex', {}).errors.length, 1);
+});
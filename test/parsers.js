@@ -0,0 +1,207 @@
+/**
+ * Checks for the input parsers of pokedex-generator.js.
+ *
+ * Run with:
+ * node test/parsers.js
+ */
+
+var assert = require('assert');
+var generator = require('../pokedex-generator.js');
+var check = require('./common.js').check;
+
+function parseCSV (text, options) {
+	var rows = [];
+	var errors = [];
+	var parser = generator.createCSVParser(options, function (row) {rows.push(row)}, function (error) {errors.push(error)});
+	parser.write(text);
+	parser.end();
+	return {values: rows.map(function (row) {return row.values}), lines: rows.map(function (row) {return row.line}), errors: errors};
+}
+
+/**
+ * CSV
+ */
+
+check("CSV: quoted fields, doubled quotes and trimming", function () {
+	var parsed = parseCSV('a, "b, c" ,"say ""hi"""\n');
+	assert.deepStrictEqual(parsed.values, [['a', 'b, c', 'say "hi"']]);
+});
+
+check("CSV: quoted fields spanning several lines keep the line of their record", function () {
+	var parsed = parseCSV('species,desc\nBulbasaur,"one\ntwo"\nIvysaur,three\n');
+	assert.deepStrictEqual(parsed.values, [['species', 'desc'], ['Bulbasaur', 'one\ntwo'], ['Ivysaur', 'three']]);
+	assert.deepStrictEqual(parsed.lines, [1, 2, 4]);
+});
+
+check("CSV: blank records are skipped", function () {
+	var parsed = parseCSV('species,num\nBulbasaur,1\n,\n\n , ,\nIvysaur,2\n,,\n');
+	assert.deepStrictEqual(parsed.values, [['species', 'num'], ['Bulbasaur', '1'], ['Ivysaur', '2']]);
+	assert.deepStrictEqual(parsed.lines, [1, 2, 6]);
+});
+
+check("CSV: the delimiter is detected from the header", function () {
+	assert.deepStrictEqual(parseCSV('a;b;c\n1;2,5;3').values, [['a', 'b', 'c'], ['1', '2,5', '3']]);
+	assert.deepStrictEqual(parseCSV('a\tb\n1\t2').values, [['a', 'b'], ['1', '2']]);
+});
+
+check("CSV: text fed in chunks gives the same rows", function () {
+	var rows = [];
+	var parser = generator.createCSVParser({}, function (row) {rows.push(row.values)}, function () {});
+	'a,"b\n",c\r\n1,2,3'.split('').forEach(function (char) {parser.write(char)});
+	parser.end();
+	assert.deepStrictEqual(rows, [['a', 'b\n', 'c'], ['1', '2', '3']]);
+});
+
+check("CSV: an unclosed quote is reported", function () {
+	var parsed = parseCSV('a,b\n1,"2\n');
+	assert.strictEqual(parsed.errors.length, 1);
+});
+
+check("CSVtoArray reads a single line, and can be used with Array#map", function () {
+	assert.deepStrictEqual(['a,b', 'c,d'].map(generator.CSVtoArray), [['a', 'b'], ['c', 'd']]);
+	assert.strictEqual(generator.CSVtoArray('a,"b'), null);
+});
+
+/**
+ * Spreadsheets
+ */
+
+// builds a .zip file from an object of file contents keyed by name, deflating the ones in `deflated`
+function createZip (files, deflated) {
+	var zlib = require('zlib');
+	var locals = [];
+	var centrals = [];
+	var offset = 0;
+	Object.keys(files).forEach(function (name) {
+		var isDeflated = (deflated || []).indexOf(name) >= 0;
+		var content = Buffer.from(files[name], 'utf8');
+		var data = isDeflated ? zlib.deflateRawSync(content) : content;
+		var nameBuffer = Buffer.from(name, 'utf8');
+		var local = Buffer.alloc(30);
+		local.writeUInt32LE(0x04034b50, 0);
+		local.writeUInt16LE(isDeflated ? 8 : 0, 8);
+		local.writeUInt32LE(data.length, 18);
+		local.writeUInt32LE(content.length, 22);
+		local.writeUInt16LE(nameBuffer.length, 26);
+		var central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014b50, 0);
+		central.writeUInt16LE(isDeflated ? 8 : 0, 10);
+		central.writeUInt32LE(data.length, 20);
+		central.writeUInt32LE(content.length, 24);
+		central.writeUInt16LE(nameBuffer.length, 28);
+		central.writeUInt32LE(offset, 42);
+		locals.push(local, nameBuffer, data);
+		centrals.push(central, nameBuffer);
+		offset += local.length + nameBuffer.length + data.length;
+	});
+	var centralDirectory = Buffer.concat(centrals);
+	var end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054b50, 0);
+	end.writeUInt16LE(Object.keys(files).length, 8);
+	end.writeUInt16LE(Object.keys(files).length, 10);
+	end.writeUInt32LE(centralDirectory.length, 12);
+	end.writeUInt32LE(offset, 16);
+	return Buffer.concat(locals.concat([centralDirectory, end]));
+}
+
+check("XLSX: shared and inline strings, numbers, booleans and skipped cells", function () {
+	var zip = createZip({
+		'xl/workbook.xml': '<workbook><sheets><sheet name="Notes" r:id="rId1"/><sheet name="Pok&#233;dex" r:id="rId2"/></sheets></workbook>',
+		'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/>' +
+			'<Relationship Id="rId2" Target="/xl/worksheets/sheet2.xml"/></Relationships>',
+		'xl/sharedStrings.xml': '<sst><si><t>Species</t></si><si><r><t>Mr.</t></r><r><t xml:space="preserve"> Mime</t></r></si>' +
+			'<si><t>Num</t><rPh><t>x</t></rPh></si></sst>',
+		'xl/worksheets/sheet1.xml': '<worksheet><sheetData/></worksheet>',
+		'xl/worksheets/sheet2.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>2</v></c></row>' +
+			'<row r="3"><c r="A3" t="s"><v>1</v></c><c r="B3" t="b"><v>1</v></c><c r="C3"><v>122</v></c></row>' +
+			'<row r="4"><c r="A4" t="inlineStr"><is><t>Ho-Oh &amp; co</t></is></c></row></sheetData></worksheet>'
+	}, ['xl/worksheets/sheet2.xml']);
+	var result = {warnings: [], errors: []};
+	var sheets = generator.readWorkbook(zip, 'test.xlsx', result);
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(sheets.map(function (sheet) {return sheet.name}), ['Notes', 'Pokédex']);
+	assert.deepStrictEqual(sheets[1].rows.map(function (row) {return row.values}), [
+		['Species', '', 'Num'],
+		['Mr. Mime', 'TRUE', '122'],
+		['Ho-Oh & co']
+	]);
+	assert.deepStrictEqual(sheets[1].rows.map(function (row) {return row.line}), [1, 3, 4]);
+
+	// the sheet named after the data type is read, even with accents
+	var pokedex = generator.generatePokedex(zip, {fileName: 'test.xlsx', isNewEntries: true}).pokedex;
+	assert.deepStrictEqual(Object.keys(pokedex), ['mrmime', 'hoohco']);
+});
+
+check("ODS: repeated rows and cells, spaces and typed values", function () {
+	var zip = createZip({
+		'mimetype': 'application/vnd.oasis.opendocument.spreadsheet',
+		'content.xml': '<office:document-content><office:body><office:spreadsheet><table:table table:name="Moves">' +
+			'<table:table-row><table:table-cell office:value-type="string"><text:p>Name</text:p></table:table-cell>' +
+			'<table:table-cell table:number-columns-repeated="2"/><table:table-cell office:value-type="string"><text:p>PP</text:p></table:table-cell></table:table-row>' +
+			'<table:table-row table:number-rows-repeated="2"><table:table-cell office:value-type="string"><text:p>X<text:s text:c="2"/>Scissor</text:p></table:table-cell>' +
+			'<table:table-cell office:value-type="float" office:value="15"><text:p>15.0</text:p></table:table-cell></table:table-row>' +
+			'<table:table-row table:number-rows-repeated="1000"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>' +
+			'</table:table></office:spreadsheet></office:body></office:document-content>'
+	}, ['content.xml']);
+	var result = {warnings: [], errors: []};
+	var sheets = generator.readWorkbook(zip, 'test.ods', result);
+	assert.deepStrictEqual(result.errors, []);
+	assert.strictEqual(sheets[0].name, 'Moves');
+	assert.deepStrictEqual(sheets[0].rows.map(function (row) {return row.values}), [
+		['Name', '', '', 'PP'],
+		['X  Scissor', '15'],
+		['X  Scissor', '15']
+	]);
+	assert.deepStrictEqual(sheets[0].rows.map(function (row) {return row.line}), [1, 2, 3]);
+});
+
+check("Spreadsheets: files that are not zip files are reported", function () {
+	var result = {warnings: [], errors: []};
+	assert.strictEqual(generator.readWorkbook(Buffer.from('species,num\n'), 'test.xlsx', result), null);
+	assert.strictEqual(result.errors.length, 1);
+});
+
+/**
+ * YAML
+ */
+
+check("YAML: block and flow collections, quoted and plain scalars, comments and literal blocks", function () {
+	var positions = [];
+	var text = '# Pokédex\n' +
+		'- species: Mr. Mime # comment\n' +
+		'  num: 122\n' +
+		'  types: [Psychic, \'Fairy\']\n' +
+		'  abilities: {0: Soundproof, H: "Tech # nician"}\n' +
+		'  isNonstandard: null\n' +
+		'  desc: |\n' +
+		'    line one\n' +
+		'    line two\n' +
+		'- species: \'It\'\'s\'\n' +
+		'  evos:\n' +
+		'    - A\n' +
+		'    - B\n';
+	assert.deepStrictEqual(generator.parseYAML(text, positions), [
+		{species: 'Mr. Mime', num: 122, types: ['Psychic', 'Fairy'], abilities: {0: 'Soundproof', H: 'Tech # nician'}, isNonstandard: null, desc: 'line one\nline two\n'},
+		{species: 'It\'s', evos: ['A', 'B']}
+	]);
+	assert.deepStrictEqual(positions, [2, 10]);
+});
+
+check("YAML: bad indentation and unclosed flow collections throw", function () {
+	assert.throws(function () {generator.parseYAML('a: 1\n  b: 2\n')}, /line 2/);
+	assert.throws(function () {generator.parseYAML('a: [1, 2\n')}, /line 1/);
+});
+
+check("YAML: a complete abilities object without a second ability is read whole", function () {
+	var result = generator.generatePokedex('- species: Charizard\n  abilities: {0: Blaze, H: Solar Power}\n', {fileName: 'test.yaml'});
+	assert.deepStrictEqual(result.warnings, []);
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(result.pokedex.charizard.abilities, {0: 'Blaze', H: 'Solar Power'});
+});
+
+check("YAML: some of the base stats are completed from the base Pokédex", function () {
+	var basePokedex = {charizard: {species: 'Charizard', baseStats: {hp: 78, atk: 84, def: 78, spa: 109, spd: 85, spe: 100}}};
+	var result = generator.generatePokedex('- species: Charizard\n  baseStats: {spe: 110}\n', {fileName: 'test.yaml', basePokedex: basePokedex});
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(result.pokedex.charizard.baseStats, {hp: 78, atk: 84, def: 78, spa: 109, spd: 85, spe: 110});
+});
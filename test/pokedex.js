@@ -0,0 +1,317 @@
+/**
+ * Checks for the Pokédex features of pokedex-generator.js: converting back to CSV, base Pokédex diffs,
+ * checks between entries, species names and aliases, and the ways to lay out rows and columns.
+ *
+ * Run with:
+ * node test/pokedex.js
+ */
+
+var assert = require('assert');
+var generator = require('../pokedex-generator.js');
+var common = require('./common.js');
+var check = common.check;
+var plain = common.plain;
+
+// a base Pokédex file, in the style of older PS data files
+var basePokedexFile = 'exports.BattlePokedex = {\r\n' +
+	'\tcharmander: {num: 4, species: "Charmander", types: ["Fire"], genderRatio: {M: 0.875, F: 0.125}, baseStats: {hp: 39, atk: 52, def: 43, spa: 60, spd: 50, spe: 65}, ' +
+		'abilities: {0: "Blaze", H: "Solar Power"}, heightm: 0.6, weightkg: 8.5, color: "Red", evos: ["charmeleon"], eggGroups: ["Monster", "Dragon"]},\r\n' +
+	'\tcharmeleon: {num: 5, species: "Charmeleon", types: ["Fire"], genderRatio: {M: 0.875, F: 0.125}, baseStats: {hp: 58, atk: 64, def: 58, spa: 80, spd: 65, spe: 80}, ' +
+		'abilities: {0: "Blaze", H: "Solar Power"}, heightm: 1.1, weightkg: 19, color: "Red", prevo: "charmander", evoLevel: 16, evos: ["charizard"], eggGroups: ["Monster", "Dragon"]},\r\n' +
+	'\tcharizard: {num: 6, species: "Charizard", types: ["Fire", "Flying"], genderRatio: {M: 0.875, F: 0.125}, baseStats: {hp: 78, atk: 84, def: 78, spa: 109, spd: 85, spe: 100}, ' +
+		'abilities: {0: "Blaze", H: "Solar Power"}, heightm: 1.7, weightkg: 90.5, color: "Red", prevo: "charmeleon", evoLevel: 36, eggGroups: ["Monster", "Dragon"], otherFormes: ["charizardmegax"]},\r\n' +
+	'\tcharizardmegax: {num: 6, species: "Charizard-Mega-X", baseSpecies: "Charizard", forme: "Mega-X", formeLetter: "M", types: ["Fire", "Dragon"], genderRatio: {M: 0.875, F: 0.125}, ' +
+		'baseStats: {hp: 78, atk: 130, def: 111, spa: 130, spd: 85, spe: 100}, abilities: {0: "Tough Claws"}, heightm: 1.7, weightkg: 110.5, color: "Black", eggGroups: ["Monster", "Dragon"]},\r\n' +
+	'\tmrmime: {num: 122, species: "Mr. Mime", types: ["Psychic", "Fairy"], baseStats: {hp: 40, atk: 45, def: 65, spa: 100, spd: 120, spe: 90}, ' +
+		'abilities: {0: "Soundproof", 1: "Filter", H: "Technician"}, heightm: 1.3, weightkg: 54.5, color: "Pink", eggGroups: ["Human-Like"]},\r\n' +
+	'};\r\n';
+
+function loadBasePokedex () {
+	return generator.loadDataFile(basePokedexFile, 'pokedex', 'pokedex.js', {warnings: [], errors: []});
+}
+
+function getMessages (problems) {
+	return problems.map(function (problem) {return problem.message});
+}
+
+/**
+ * Converting back to CSV
+ */
+
+check("To CSV: a Pokédex file converts to CSV and back to the same entries, with no warnings", function () {
+	var converted = generator.pokedexToCSV(basePokedexFile, {fileName: 'pokedex.js'});
+	assert.deepStrictEqual(converted.errors, []);
+	assert.deepStrictEqual(converted.warnings, []);
+	var lines = converted.csv.split('\r\n');
+	assert.strictEqual(lines[0], 'species,num,types,genderRatio,baseStats,abilities,heightm,weightkg,color,evos,eggGroups,prevo,evoLevel,otherFormes,baseSpecies,forme,formeLetter');
+	assert.strictEqual(lines[1], 'Charmander,4,Fire,0.875/0.125,39/52/43/60/50/65,Blaze//Solar Power,0.6,8.5,Red,charmeleon,Monster/Dragon,,,,,,');
+
+	var result = generator.generatePokedex(converted.csv, {isNewEntries: true});
+	assert.deepStrictEqual(result.errors, []);
+	// cjs output writes species references as ids
+	var expected = plain(loadBasePokedex());
+	expected.charizardmegax.baseSpecies = 'charizard';
+	var text = generator.serialize(result.pokedex, 'cjs');
+	assert.deepStrictEqual(plain(generator.loadDataFile(text, 'pokedex', 'pokedex.js', result)), expected);
+});
+
+check("To CSV: fields with no column, and values that would not convert back, are reported", function () {
+	var converted = generator.pokedexToCSV('exports.BattlePokedex = {a: {species: "A", num: 1.5, unknownField: 1}, b: {species: "B", inherit: true, types: ["Fire"]}};');
+	assert.deepStrictEqual(getMessages(converted.warnings), [
+		"Field 'unknownField' has no matching column, and was left out of 1 entries: a.",
+		"Field 'num' will not convert back to the same value in 1 entries: a."
+	]);
+	assert.strictEqual(converted.csv.split('\r\n')[0], 'species,inherit,num,types');
+});
+
+/**
+ * Base Pokédex
+ */
+
+check("Base: inherited entries only keep the fields that differ, and unchanged ones are left out", function () {
+	var result = generator.generatePokedex('species,types,baseStats,color,evos\n' +
+		'Charmander,Fire,39/52/43/60/50/65,Red,Charmeleon\nCharmeleon,Fire/Dragon,58/64/58/80/65/80,Red,Charizard\n', {basePokedex: loadBasePokedex()});
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(plain(result.pokedex), {charmeleon: {inherit: true, types: ['Fire', 'Dragon']}});
+	assert.deepStrictEqual(plain(result.changes), {charmander: [], charmeleon: [{field: 'types', from: ['Fire'], to: ['Fire', 'Dragon']}]});
+});
+
+check("Base: a species that is not in the base Pokédex is reported once, and keeps all of its fields", function () {
+	var result = generator.generatePokedex('species,num\nCharmandr,4\n', {basePokedex: loadBasePokedex()});
+	assert.deepStrictEqual(getMessages(result.warnings), ["Species 'Charmandr' is not in the reference species list. Did you mean 'Charmander'?"]);
+	assert.deepStrictEqual(plain(result.pokedex), {charmandr: {inherit: true, num: 4}});
+
+	result = generator.generatePokedex('species,num\nCharmandr,4\n', {basePokedex: loadBasePokedex(), speciesList: {charmandr: 'Charmandr'}});
+	assert.deepStrictEqual(getMessages(result.warnings), ["Species 'charmandr' is not in the base Pokédex. All of its fields were kept."]);
+});
+
+/**
+ * Checks between entries
+ */
+
+check("Checks: evolutions, formes, gender ratios and numbers are checked against each other", function () {
+	var result = generator.generatePokedex('species,num,prevo,evos,evolevel,genderratio,gender,otherformes,basespecies\n' +
+		'Foo,9001,,Bar,,0.5/0.4,,Foo-Mega,\nBar,9002,Baz,,30,,,,\nFoo-Mega,9001,,,,,,,Baz\nQux,9002,,,20,,M,,\n', {isNewEntries: true});
+	assert.deepStrictEqual(getMessages(result.errors), [
+		"'foo' evolves into 'Bar', but its prevo is 'Baz'.",
+		"The genderRatio of 'foo' does not add up to 1.",
+		"'Foo-Mega' is a forme of 'foo', but its baseSpecies is 'Baz'.",
+		"'foomega' has the same num, 9001, as 'foo' (L2).",
+		"'qux' has an evoLevel, but no prevo.",
+		"'qux' has the same num, 9002, as 'bar' (L3)."
+	]);
+	assert.deepStrictEqual(getMessages(result.warnings), [
+		"'bar' evolves from 'Baz', which is not in the Pokédex.",
+		"The baseSpecies of 'foomega', 'Baz', is not in the Pokédex."
+	]);
+});
+
+check("Checks: inherited entries are checked along with their base Pokédex entry", function () {
+	var result = generator.generatePokedex('species,evos\nCharizard,Charizard-Mega-X\n', {basePokedex: loadBasePokedex()});
+	assert.deepStrictEqual(getMessages(result.errors), ["'charizard' evolves into 'Charizard-Mega-X', but its prevo is ''."]);
+});
+
+/**
+ * Aliases and species names
+ */
+
+check("Aliases: alias files add to the built-in aliases, and are followed in chains", function () {
+	var result = {warnings: [], errors: []};
+	var aliases = generator.loadAliases('{"Zard": "Charizard", "X": "zard", "Ttar": "Mr. Mime"}', 'aliases.json', null, result);
+	var table = generator.checkAliases(aliases, {charizard: 1, tyranitar: 1}, result);
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(getMessages(result.warnings), []);
+	assert.strictEqual(table.x, 'Charizard');
+	var pokedex = generator.generatePokedex('species,num\nX,6\nTtar,122\nLando-T,645\n', {isNewEntries: true, aliases: table}).pokedex;
+	assert.deepStrictEqual(Object.keys(pokedex), ['charizard', 'mrmime', 'landorustherian']);
+});
+
+check("Aliases: cycles are errors, and aliases that shadow a species are warnings", function () {
+	var result = {warnings: [], errors: []};
+	var aliases = generator.loadAliases('{"a": "b", "b": "a", "Charizard": "Charmander", "bad": 1}', 'aliases.json', null, result);
+	var table = generator.checkAliases(aliases, {charizard: 1, charmander: 1}, result);
+	assert.deepStrictEqual(getMessages(result.errors), ["Aliases form a cycle: 'a' -> 'b' -> 'a'."]);
+	assert.deepStrictEqual(getMessages(result.warnings), [
+		"Alias 'bad' in file 'aliases.json' does not name a species, and was ignored.",
+		"Alias 'charizard' (to 'Charmander') shadows species 'charizard'."
+	]);
+	assert.ok(!('a' in table));
+	assert.strictEqual(generator.loadAliases('[1]', 'aliases.json', null, result), null);
+});
+
+check("Species: unknown species are reported with suggestions, and are errors in strict mode", function () {
+	var speciesList = generator.loadSpeciesList('Bulbasaur\nIvysaur\r\nMr. Mime\n', 'species.txt', {warnings: [], errors: []});
+	var result = generator.generatePokedex('species,num\nBulbasuar,1\nmr mime,122\nBrandNew,9001\n', {speciesList: speciesList});
+	assert.deepStrictEqual(getMessages(result.warnings), [
+		"Species 'Bulbasuar' is not in the reference species list. Did you mean 'Bulbasaur'?",
+		"Species 'BrandNew' is not in the reference species list."
+	]);
+	assert.strictEqual(result.errors.length, 0);
+
+	result = generator.generatePokedex('species,num\nBulbasuar,1\n', {speciesList: speciesList, isStrict: true});
+	assert.strictEqual(result.errors.length, 1);
+	result = generator.generatePokedex('species,num\nBrandNew,9001\n', {speciesList: speciesList, isStrict: true, isNewEntries: true});
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(result.warnings, []);
+});
+
+check("Species: strict mode needs a species list only for inherited entries", function () {
+	assert.strictEqual(generator.generatePokedex('species,num\nBulbasaur,1\n', {isStrict: true}).errors.length, 1);
+	assert.deepStrictEqual(generator.generatePokedex('species,num\nBulbasaur,1\n', {isStrict: true, isNewEntries: true}).errors, []);
+	assert.deepStrictEqual(generator.generateFormatsData('species,tier\nBulbasaur,OU\n', {isStrict: true}).errors, []);
+});
+
+check("Names: display names, accents and mixed case are kept, and ids fold accents", function () {
+	assert.strictEqual(generator.toId('Flabébé'), 'flabebe');
+	assert.strictEqual(generator.toName('mr mime'), 'Mr. Mime');
+	assert.strictEqual(generator.toName('type null'), 'Type: Null');
+	assert.strictEqual(generator.toName('great tusk'), 'Great Tusk');
+	assert.strictEqual(generator.toName('McThing'), 'McThing');
+	assert.strictEqual(generator.toName('flabébé'), 'Flabébé');
+	var pokedex = generator.generatePokedex('species,abilities,prevo\nFlabébé,Flower Veil,\nSirfetch’d,Steadfast//Scrappy,Farfetchd-Galar\n', {isNewEntries: true}).pokedex;
+	assert.deepStrictEqual(Object.keys(pokedex), ['flabebe', 'sirfetchd']);
+	assert.strictEqual(pokedex.flabebe.species, 'Flabébé');
+	assert.strictEqual(pokedex.sirfetchd.prevo, 'Farfetch’d-Galar');
+});
+
+check("Names: ids that are also names of object properties are not looked up in Object.prototype", function () {
+	assert.strictEqual(generator.toName('constructor'), 'Constructor');
+	assert.strictEqual(generator.parseAlias('hasOwnProperty'), 'hasOwnProperty');
+	var result = generator.generatePokedex('species,num\nConstructor,1\n', {basePokedex: loadBasePokedex()});
+	assert.deepStrictEqual(plain(result.pokedex), {constructor: {inherit: true, num: 1}});
+});
+
+check("Names: text that is not UTF-8 is read as Windows-1252, and UTF-16 is detected", function () {
+	var result = {warnings: [], errors: []};
+	assert.strictEqual(generator.decodeText(Buffer.from('species\nFlab\xe9b\xe9\n', 'latin1'), 'a.csv', result), 'species\nFlabébé\n');
+	var utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('species\nFlabébé\n', 'utf16le')]);
+	assert.strictEqual(generator.decodeText(utf16, 'a.csv', result), 'species\nFlabébé\n');
+});
+
+/**
+ * Rows and fields
+ */
+
+check("Rows: an inherit or new column overrides the default for its row", function () {
+	var result = generator.generatePokedex('species,num,new\nBulbasaur,1,\nFakemon,9001,yes\n', {});
+	assert.deepStrictEqual(plain(result.pokedex), {bulbasaur: {inherit: true, num: 1}, fakemon: {num: 9001, species: 'Fakemon'}});
+	result = generator.generatePokedex('species,num,inherit\nBulbasaur,1,yes\nFakemon,9001,\n', {isNewEntries: true});
+	assert.deepStrictEqual(plain(result.pokedex), {bulbasaur: {inherit: true, num: 1}, fakemon: {num: 9001, species: 'Fakemon'}});
+	assert.strictEqual(generator.generatePokedex('species,new\nBulbasaur,maybe\n', {}).errors.length, 1);
+});
+
+check("Fields: modern SpeciesData fields are read and checked", function () {
+	var result = generator.generatePokedex('species,tags,formeorder,cangigantamax,requireditems,battleonly,changesfrom,maxhp,gen,isnonstandard\n' +
+		'Zacian-Crowned,Restricted Legendary,,,Rusted Sword,Zacian,,,8,\nCharizard,,Charizard/Charizard-Gmax,G-Max Wildfire,,,,,1,Past\n' +
+		'Shedinja,,,,,,,1,3,\nFoo,Mythic,,Flamethrower,,,,,10,\n', {isNewEntries: true});
+	assert.deepStrictEqual(plain(result.pokedex).zaciancrowned, {species: 'Zacian-Crowned', tags: ['Restricted Legendary'], requiredItems: ['Rusted Sword'], battleOnly: 'Zacian', gen: 8});
+	assert.deepStrictEqual(plain(result.pokedex).charizard, {species: 'Charizard', formeOrder: ['Charizard', 'Charizard-Gmax'], canGigantamax: 'G-Max Wildfire', gen: 1, isNonstandard: 'Past'});
+	assert.deepStrictEqual(plain(result.pokedex).shedinja, {species: 'Shedinja', maxHP: 1, gen: 3});
+	assert.deepStrictEqual(result.errors.map(function (problem) {return problem.line}), [5, 5, 5]);
+});
+
+check("Fields: numbers that can't be read are errors instead of null", function () {
+	var result = generator.generatePokedex('species,num,basestats,heightm,weightkg,evolevel,genderratio\n' +
+		'Foo,abc,1/2/3,x,9;5,lvl,0.5/half\nBar,12,45/49/49/65/65/45,"0,7",6.9,,0.875/0.125\n', {isNewEntries: true});
+	assert.deepStrictEqual(getMessages(result.errors), [
+		"'abc' is not a valid Pokédex number.",
+		"'1/2/3' is not a valid stat spread. Use six base stats, as in 45/49/49/65/65/45.",
+		"'x' is not a valid height.",
+		"'9;5' is not a valid weight.",
+		"'lvl' is not a valid evoLevel.",
+		"'half' is not a valid ratio, from 0 to 1."
+	]);
+	assert.deepStrictEqual(plain(result.pokedex.foo), {species: 'Foo'});
+	assert.deepStrictEqual(plain(result.pokedex.bar), {
+		num: 12, species: 'Bar', baseStats: {hp: 45, atk: 49, def: 49, spa: 65, spd: 65, spe: 45}, heightm: 0.7, weightkg: 6.9, genderRatio: {M: 0.875, F: 0.125}
+	});
+});
+
+check("Duplicates: rows for the same species, once aliases are resolved, are errors", function () {
+	var result = generator.generatePokedex('species,num\nTyranitar,248\nTtar,249\n', {isNewEntries: true});
+	assert.deepStrictEqual(getMessages(result.errors), ["'Ttar' is a duplicate of 'Tyranitar' (L2): both are 'tyranitar'."]);
+});
+
+check("Duplicates: rows without a species are reported, and blank rows are skipped", function () {
+	var result = generator.generatePokedex('species,num\nBulbasaur,1\n,\n,,\n,2\n???,3\nIvysaur,2\n', {isNewEntries: true});
+	assert.deepStrictEqual(getMessages(result.errors), ["Row has no species.", "'???' is not a valid species."]);
+	assert.deepStrictEqual(result.errors.map(function (problem) {return problem.line}), [5, 6]);
+	assert.deepStrictEqual(Object.keys(result.pokedex), ['bulbasaur', 'ivysaur']);
+});
+
+check("Duplicates: with isMergingRows, rows fill separate fields, and only different values are errors", function () {
+	var result = generator.generatePokedex('species,num,hp,spe,type1,type2,color\nFoo,9001,80,,Fire,,Red\nfoo,,,100,,Water,\nFoo,,,,,,Blue\n',
+		{isNewEntries: true, isMergingRows: true});
+	assert.deepStrictEqual(getMessages(result.errors), [
+		"Field 'color' of 'foo' is 'Blue' here, but 'Red' in L2.",
+		"New species 'foo' has no 'atk', 'def', 'spa', 'spd' in its baseStats."
+	]);
+	assert.deepStrictEqual(plain(result.pokedex.foo), {num: 9001, species: 'Foo', baseStats: {hp: 80, spe: 100}, types: ['Fire', 'Water'], color: 'Red'});
+});
+
+check("Layers: later files win field by field, and keep the provenance of each field", function () {
+	var result = generator.generateLayered([
+		{fileName: 'base.csv', contents: 'species,num,types,baseStats\nFoo,9001,Fire,50/50/50/50/50/50\nBar,9002,Water,\n'},
+		{fileName: 'patch.csv', contents: 'species,spe,types\nFoo,100,\nBar,,Water/Ice\n'}
+	], {isNewEntries: true});
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(plain(result.pokedex), {
+		foo: {num: 9001, species: 'Foo', types: ['Fire'], baseStats: {hp: 50, atk: 50, def: 50, spa: 50, spd: 50, spe: 100}},
+		bar: {num: 9002, species: 'Bar', types: ['Water', 'Ice']}
+	});
+	assert.deepStrictEqual(plain(generator.describeProvenance(result.provenance)), {
+		foo: {num: 'base.csv L2', species: 'patch.csv L2', types: 'base.csv L2', baseStats: 'base.csv L2, spe: patch.csv L2'},
+		bar: {num: 'base.csv L3', species: 'patch.csv L3', types: 'patch.csv L3'}
+	});
+});
+
+check("Layers: problems in every file are reported, with the name of their file", function () {
+	var result = generator.generateLayered([
+		{fileName: 'a.csv', contents: 'species,num\nFoo,x\n'},
+		{fileName: 'b.csv', contents: 'species,num\nBar,y\n'}
+	], {isNewEntries: true});
+	assert.deepStrictEqual(result.errors.map(function (problem) {return problem.file + ' L' + problem.line}), ['a.csv L2', 'b.csv L2']);
+});
+
+check("Split columns: single values of structured fields are completed from the base Pokédex", function () {
+	var result = generator.generatePokedex('species,spe,baseStats.atk,type2,ability H,genderRatio.M,genderRatio.F\nCharizard,110,90,Dragon,Drought,0.5,0.5\n', {basePokedex: loadBasePokedex()});
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(plain(result.pokedex.charizard), {
+		inherit: true,
+		types: ['Fire', 'Dragon'],
+		genderRatio: {M: 0.5, F: 0.5},
+		baseStats: {hp: 78, atk: 90, def: 78, spa: 109, spd: 85, spe: 110},
+		abilities: {0: 'Blaze', H: 'Drought'}
+	});
+});
+
+check("Split columns: without a base Pokédex, incomplete fields are reported", function () {
+	var result = generator.generatePokedex('species,spe\nCharizard,110\n', {});
+	assert.deepStrictEqual(getMessages(result.warnings), [
+		"The baseStats of 'charizard' have no 'hp', 'atk', 'def', 'spa', 'spd', and there is no base Pokédex to take them from. " +
+			"PS replaces the whole baseStats of inherited entries, so they will be lost."
+	]);
+	result = generator.generatePokedex('species,type1,type2,ability0,ability H\nFoo,Fire,,Blaze,\nBar,,Ice,Ice Body,\n', {isNewEntries: true});
+	assert.deepStrictEqual(getMessages(result.errors), ["New species 'bar' has no '0' in its types."]);
+	assert.deepStrictEqual(plain(result.pokedex.foo), {species: 'Foo', types: ['Fire'], abilities: {0: 'Blaze'}});
+});
+
+check("Headers: synonyms and other languages name the same columns, and unknown headers get suggestions", function () {
+	var result = generator.generatePokedex('Nombre,Tipo,PS,Velocidad,Habilidad oculta,Peso (kg),Speeed\nFoo,Fuego,80,,Blaze,9.5,1\n', {isNewEntries: true});
+	assert.deepStrictEqual(getMessages(result.warnings), ["'Speeed' header is invalid, and its column was ignored. Did you mean 'speed'?"]);
+	assert.strictEqual(result.pokedex.foo.species, 'Foo');
+	assert.deepStrictEqual(plain(result.pokedex.foo.abilities), {H: 'Blaze'});
+	assert.strictEqual(result.pokedex.foo.weightkg, 9.5);
+});
+
+check("Headers: a synonym file only applies to the data types that have its column", function () {
+	var result = {warnings: [], errors: []};
+	var synonyms = generator.loadHeaderSynonyms('{"Nombre del ataque": "name", "Vel": "baseStats.spe", "Nope": "nothing"}', 'headers.json', null, result);
+	assert.deepStrictEqual(getMessages(result.warnings), ["Header 'Nope' in file 'headers.json' does not name a column of any data type, and was ignored."]);
+	var pokedex = generator.generatePokedex('species,Vel\nCharizard,110\n', {headerSynonyms: synonyms, basePokedex: loadBasePokedex()}).pokedex;
+	assert.strictEqual(pokedex.charizard.baseStats.spe, 110);
+	var movedex = generator.generateMovedex('Nombre del ataque,pp\nTackle,35\n', {headerSynonyms: synonyms}).movedex;
+	assert.deepStrictEqual(plain(movedex), {tackle: {inherit: true, pp: 35}});
+	var pokedexResult = generator.generatePokedex('species,Nombre del ataque\nCharizard,Tackle\n', {headerSynonyms: synonyms});
+	assert.strictEqual(pokedexResult.warnings.length, 1);
+});